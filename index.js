@@ -1,13 +1,41 @@
 /**
  * Homebridge Red Alert Plugin with Full Tzofar WebSocket Integration
- * Monitors Israeli Home Front Command alerts exclusively via Tzofar WebSocket
+ * Monitors Israeli Home Front Command alerts via Tzofar WebSocket, with optional
+ * redundant sources (official Oref alerts JSON, custom HTTP/WebSocket feeds)
  *
  * Features:
  * - Tzofar WebSocket for ALL alert types (primary, early warnings, exit notifications)
+ * - Every Home Front Command threat category with per-threat controls, media,
+ *   shelter files and volumes
+ * - Dynamic platform with per-location accessories (legacy accessory mode still supported)
+ * - Proximity monitoring by radius around coordinates from cities.json
+ * - Home Front Command area subscriptions by name (any language) or ID
+ * - Shelter countdown timer from per-city countdown data
+ * - Per-city "stay in shelter" sessions released by exit notifications
+ * - Persistent alert history and state under the Homebridge storage path
+ * - JSON status and control API on the media server
+ * - Server bind address, API token, signed media URLs and IP allowlist
+ * - Server-Sent Events and WebSocket push feed of alert events
+ * - Pluggable alert sources with cross-source de-duplication
+ * - Never-give-up reconnects and a feed health sensor with outage statistics
+ * - Replay/simulation of recorded Tzofar messages, kept out of real history
+ * - Per-alert-type and per-threat test switches plus configurable test scenarios
+ * - Household and per-device language for alert texts and media (he/en/ru/ar/es)
+ * - Spoken announcements of the threat, cities and time to shelter via local TTS
+ * - Playback sessions per Chromecast: stop superseded or silenced alerts and
+ *   restore the previous volume and app
+ * - Static Chromecast devices, merging discovery and reachability heartbeats
+ * - Device groups and per-alert routing rules (cast groups included on demand)
+ * - Schedule profiles (night, Shabbat, away) muting alert types and devices,
+ *   with HomeKit mode switches; primary alerts are never muted
+ * - Shabbat/Yom Tov times computed locally from the monitored city's location
  * - Per-alert-type enable/time/volume controls with time restrictions
  * - Per-device, per-alert-type volume
  * - City filtering with ID-based matching
- * - 2-minute debounce for duplicate alerts
+ * - Threat priority: a more severe threat preempts playback, a lesser one
+ *   never interrupts; active threats and threat level in HomeKit
+ * - Debounce per alert type (higher-priority threats cut through) and grouping
+ *   of multi-message alerts into one incident
  * - Enhanced validation with Hebrew keywords
  * - Shelter instruction devices with cooldown periods
  * - Reliable Chromecast integration
@@ -23,11 +51,19 @@ const path = require("path");
 const express = require("express");
 const compression = require("compression");
 const ChromecastAPI = require("chromecast-api");
+const ChromecastDevice = require("chromecast-api/lib/device");
+const { Client: CastClient } = require("castv2-client");
+const net = require("net");
 const os = require("os");
 const crypto = require("crypto");
+const { execFile } = require("child_process");
 
 let Service, Characteristic;
 
+const PLUGIN_NAME = "homebridge-red-alert";
+const ACCESSORY_NAME = "RedAlert";
+const PLATFORM_NAME = "RedAlert";
+
 // Alert types and their canonical titles (in Hebrew)
 const ALERT_TYPES = {
   PRIMARY: "primary",
@@ -36,27 +72,540 @@ const ALERT_TYPES = {
   EXIT_NOTIFICATION: "exit-notification",
 };
 
+// Per-city shelter session states
+const SHELTER_SESSION_STATES = {
+  IDLE: "idle",
+  ALERTED: "alerted",
+  STAY_IN_SHELTER: "stay-in-shelter",
+  RELEASED: "released",
+};
+
+// Outcomes recorded in the alert history
+const HISTORY_OUTCOMES = {
+  TRIGGERED: "triggered",
+  DRILL: "ignored-drill",
+  INVALID: "invalid",
+  UNKNOWN_THREAT: "unknown-threat",
+  DISABLED: "disabled",
+  NO_MATCH: "no-match",
+  DEBOUNCED: "debounced",
+  SUPPRESSED: "suppressed",
+  IGNORED: "ignored",
+  DUPLICATE: "duplicate",
+  ACKNOWLEDGED: "acknowledged",
+  GROUPED: "grouped",
+};
+
+const HISTORY_FILE_PATTERN = /^history-(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+// Push feed event types (alert events use the ALERT_TYPES values)
+const FEED_EVENT_TYPES = {
+  ...ALERT_TYPES,
+  SHELTER_TIME_EXPIRED: "shelter-time-expired",
+  CONNECTION_UP: "connection-up",
+  CONNECTION_DOWN: "connection-down",
+  FEED_HEALTH: "feed-health",
+};
+
 // Special city ID for nationwide alerts
 const NATIONWIDE_CITY_ID = 10000000;
 
-// Threat ID mapping for Tzofar alerts
+// Protective actions - what the Home Front Command instructs for each threat
+const PROTECTIVE_ACTIONS = {
+  SHELTER: "shelter",
+  LOCKDOWN: "lockdown",
+  STAY_INDOORS: "stay-indoors",
+  OPEN_AREA: "open-area",
+  HIGH_GROUND: "high-ground",
+  FOLLOW_INSTRUCTIONS: "follow-instructions",
+};
+
+const PROTECTIVE_ACTION_INSTRUCTIONS = {
+  [PROTECTIVE_ACTIONS.SHELTER]:
+    "Enter the protected space and stay there for 10 minutes",
+  [PROTECTIVE_ACTIONS.LOCKDOWN]:
+    "Lock doors and windows, stay inside and keep quiet",
+  [PROTECTIVE_ACTIONS.STAY_INDOORS]:
+    "Stay indoors, close windows and turn off ventilation",
+  [PROTECTIVE_ACTIONS.OPEN_AREA]:
+    "Leave the building to an open area; if not possible, enter the protected space or stairwell",
+  [PROTECTIVE_ACTIONS.HIGH_GROUND]:
+    "Move away from the coast to high ground immediately",
+  [PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS]:
+    "Follow Home Front Command instructions",
+};
+
+// Threat ID mapping for Tzofar alerts (lower priority number = more severe)
 const THREAT_ID_MAPPING = {
   2: {
     type: ALERT_TYPES.PRIMARY,
+    key: "terrorist-infiltration",
     name: "Fear of Terrorists Infiltration",
+    nameHe: "חשש לחדירת מחבלים",
     priority: 1,
+    action: PROTECTIVE_ACTIONS.LOCKDOWN,
   },
   7: {
     type: ALERT_TYPES.PRIMARY,
+    key: "non-conventional-missile",
     name: "Non-conventional Missile",
+    nameHe: "ירי בלתי קונבנציונלי",
     priority: 2,
+    action: PROTECTIVE_ACTIONS.SHELTER,
+  },
+  6: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "radiological",
+    name: "Radiological Event",
+    nameHe: "חשש לאירוע רדיולוגי",
+    priority: 3,
+    action: PROTECTIVE_ACTIONS.STAY_INDOORS,
+  },
+  4: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "tsunami",
+    name: "Tsunami",
+    nameHe: "חשש לצונאמי",
+    priority: 4,
+    action: PROTECTIVE_ACTIONS.HIGH_GROUND,
   },
   5: {
     type: ALERT_TYPES.PRIMARY,
+    key: "hostile-aircraft",
     name: "Hostile Aircraft Intrusion",
+    nameHe: "חדירת כלי טיס עוין",
     priority: 5,
+    action: PROTECTIVE_ACTIONS.SHELTER,
+  },
+  3: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "earthquake",
+    name: "Earthquake",
+    nameHe: "רעידת אדמה",
+    priority: 6,
+    action: PROTECTIVE_ACTIONS.OPEN_AREA,
+  },
+  1: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "hazardous-materials",
+    name: "Hazardous Materials Event",
+    nameHe: "אירוע חומרים מסוכנים",
+    priority: 7,
+    action: PROTECTIVE_ACTIONS.STAY_INDOORS,
+  },
+  0: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "missiles",
+    name: "Red Alert",
+    nameHe: "ירי רקטות וטילים",
+    priority: 8,
+    action: PROTECTIVE_ACTIONS.SHELTER,
+  },
+  8: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "general",
+    name: "Home Front Command Alert",
+    nameHe: "התרעה",
+    priority: 9,
+    action: PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS,
+  },
+  9: {
+    type: ALERT_TYPES.PRIMARY,
+    key: "drill",
+    name: "Home Front Command Drill",
+    nameHe: "תרגיל פיקוד העורף",
+    priority: 10,
+    action: PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS,
+  },
+};
+
+// Threat level for HomeKit: the most severe threat is the highest level.
+// A light sensor can't read 0 lux, so no threat is its minimum.
+const MAX_THREAT_PRIORITY = Math.max(
+  ...Object.values(THREAT_ID_MAPPING).map((threat) => threat.priority)
+);
+const NO_THREAT_LEVEL = 0.0001;
+
+function threatLevel(threat) {
+  return threat ? MAX_THREAT_PRIORITY + 1 - threat.priority : NO_THREAT_LEVEL;
+}
+
+// Languages of the city and area names in cities.json
+const LANGUAGES = ["he", "en", "ru", "ar", "es"];
+const DEFAULT_LANGUAGE = "en";
+
+// Localized alert texts for logs, push events and announcements.
+// English and Hebrew threat names come from THREAT_ID_MAPPING.
+const ALERT_TEXTS = {
+  en: {
+    titles: {
+      [ALERT_TYPES.PRIMARY]: "Red Alert",
+      [ALERT_TYPES.EARLY_WARNING]: "Early Warning",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "Event Ended",
+      [ALERT_TYPES.TEST]: "Test Alert",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]: "Time to Shelter Is Up",
+    },
+    messages: {
+      [ALERT_TYPES.EARLY_WARNING]:
+        "Alerts are expected in your area in the next few minutes",
+      [ALERT_TYPES.EXIT_NOTIFICATION]:
+        "The event has ended. You may leave the protected space",
+      [ALERT_TYPES.TEST]: "This is a test alert",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]: "Stay in the protected space",
+    },
+    countdown: "{seconds} seconds to reach the protected space",
+    nationwide: "All areas",
+    actions: PROTECTIVE_ACTION_INSTRUCTIONS,
+    threats: {},
   },
-  0: { type: ALERT_TYPES.PRIMARY, name: "Red Alert", priority: 8 },
+  he: {
+    titles: {
+      [ALERT_TYPES.PRIMARY]: "צבע אדום",
+      [ALERT_TYPES.EARLY_WARNING]: "התרעה מוקדמת",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "האירוע הסתיים",
+      [ALERT_TYPES.TEST]: "התרעת בדיקה",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]: "הזמן להגעה למרחב המוגן הסתיים",
+    },
+    messages: {
+      [ALERT_TYPES.EARLY_WARNING]: "בדקות הקרובות צפויות להתקבל התרעות באזורך",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "האירוע הסתיים, ניתן לצאת מהמרחב המוגן",
+      [ALERT_TYPES.TEST]: "זוהי התרעת בדיקה",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]: "הישארו במרחב המוגן",
+    },
+    countdown: "{seconds} שניות להגעה למרחב המוגן",
+    nationwide: "כל הארץ",
+    actions: {
+      [PROTECTIVE_ACTIONS.SHELTER]: "היכנסו למרחב המוגן ושהו בו 10 דקות",
+      [PROTECTIVE_ACTIONS.LOCKDOWN]:
+        "נעלו דלתות וחלונות, הישארו בפנים ושמרו על שקט",
+      [PROTECTIVE_ACTIONS.STAY_INDOORS]:
+        "הישארו בתוך המבנה, סגרו חלונות וכבו את האוורור",
+      [PROTECTIVE_ACTIONS.OPEN_AREA]:
+        "צאו מהמבנה לשטח פתוח; אם אין אפשרות, היכנסו למרחב המוגן או לחדר המדרגות",
+      [PROTECTIVE_ACTIONS.HIGH_GROUND]: "התרחקו מיד מחוף הים אל שטח גבוה",
+      [PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS]: "פעלו לפי הנחיות פיקוד העורף",
+    },
+    threats: {},
+  },
+  ru: {
+    titles: {
+      [ALERT_TYPES.PRIMARY]: "Красная тревога",
+      [ALERT_TYPES.EARLY_WARNING]: "Предварительное предупреждение",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "Событие завершено",
+      [ALERT_TYPES.TEST]: "Тестовая тревога",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]: "Время на укрытие истекло",
+    },
+    messages: {
+      [ALERT_TYPES.EARLY_WARNING]:
+        "В ближайшие минуты в вашем районе ожидаются тревоги",
+      [ALERT_TYPES.EXIT_NOTIFICATION]:
+        "Событие завершено. Можно выйти из защищённого помещения",
+      [ALERT_TYPES.TEST]: "Это тестовая тревога",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]:
+        "Оставайтесь в защищённом помещении",
+    },
+    countdown: "{seconds} секунд, чтобы добраться до защищённого помещения",
+    nationwide: "Вся страна",
+    actions: {
+      [PROTECTIVE_ACTIONS.SHELTER]:
+        "Войдите в защищённое помещение и оставайтесь там 10 минут",
+      [PROTECTIVE_ACTIONS.LOCKDOWN]:
+        "Заприте двери и окна, оставайтесь внутри и соблюдайте тишину",
+      [PROTECTIVE_ACTIONS.STAY_INDOORS]:
+        "Оставайтесь в помещении, закройте окна и выключите вентиляцию",
+      [PROTECTIVE_ACTIONS.OPEN_AREA]:
+        "Выйдите из здания на открытое место; если это невозможно, войдите в защищённое помещение или на лестничную клетку",
+      [PROTECTIVE_ACTIONS.HIGH_GROUND]:
+        "Немедленно уйдите от побережья на возвышенность",
+      [PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS]:
+        "Следуйте указаниям Командования тыла",
+    },
+    threats: {
+      missiles: "Ракетный обстрел",
+      general: "Тревога Командования тыла",
+      "terrorist-infiltration": "Опасение проникновения террористов",
+      "non-conventional-missile": "Неконвенциональный обстрел",
+      radiological: "Радиологическое событие",
+      tsunami: "Цунами",
+      "hostile-aircraft": "Проникновение враждебного летательного аппарата",
+      earthquake: "Землетрясение",
+      "hazardous-materials": "Утечка опасных веществ",
+      drill: "Учения Командования тыла",
+    },
+  },
+  ar: {
+    titles: {
+      [ALERT_TYPES.PRIMARY]: "إنذار أحمر",
+      [ALERT_TYPES.EARLY_WARNING]: "إنذار مبكر",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "انتهى الحدث",
+      [ALERT_TYPES.TEST]: "إنذار تجريبي",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]:
+        "انتهى وقت الوصول إلى الحيز المحمي",
+    },
+    messages: {
+      [ALERT_TYPES.EARLY_WARNING]:
+        "من المتوقع صدور إنذارات في منطقتك خلال الدقائق القادمة",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "انتهى الحدث، يمكن مغادرة الحيز المحمي",
+      [ALERT_TYPES.TEST]: "هذا إنذار تجريبي",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]: "ابقوا في الحيز المحمي",
+    },
+    countdown: "{seconds} ثانية للوصول إلى الحيز المحمي",
+    nationwide: "جميع أنحاء البلاد",
+    actions: {
+      [PROTECTIVE_ACTIONS.SHELTER]:
+        "ادخلوا إلى الحيز المحمي وابقوا فيه 10 دقائق",
+      [PROTECTIVE_ACTIONS.LOCKDOWN]:
+        "أغلقوا الأبواب والنوافذ، ابقوا في الداخل والتزموا الهدوء",
+      [PROTECTIVE_ACTIONS.STAY_INDOORS]:
+        "ابقوا داخل المبنى، أغلقوا النوافذ وأطفئوا التهوية",
+      [PROTECTIVE_ACTIONS.OPEN_AREA]:
+        "اخرجوا من المبنى إلى منطقة مفتوحة؛ وإن لم يكن ذلك ممكنًا ادخلوا إلى الحيز المحمي أو بيت الدرج",
+      [PROTECTIVE_ACTIONS.HIGH_GROUND]:
+        "ابتعدوا فورًا عن الشاطئ إلى منطقة مرتفعة",
+      [PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS]:
+        "اتبعوا تعليمات قيادة الجبهة الداخلية",
+    },
+    threats: {
+      missiles: "إطلاق صواريخ وقذائف",
+      general: "إنذار قيادة الجبهة الداخلية",
+      "terrorist-infiltration": "خشية تسلل مخربين",
+      "non-conventional-missile": "إطلاق غير تقليدي",
+      radiological: "حدث إشعاعي",
+      tsunami: "تسونامي",
+      "hostile-aircraft": "تسلل طائرة معادية",
+      earthquake: "هزة أرضية",
+      "hazardous-materials": "حدث مواد خطرة",
+      drill: "تمرين قيادة الجبهة الداخلية",
+    },
+  },
+  es: {
+    titles: {
+      [ALERT_TYPES.PRIMARY]: "Alerta Roja",
+      [ALERT_TYPES.EARLY_WARNING]: "Alerta temprana",
+      [ALERT_TYPES.EXIT_NOTIFICATION]: "Fin del evento",
+      [ALERT_TYPES.TEST]: "Alerta de prueba",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]:
+        "Se acabó el tiempo para llegar al refugio",
+    },
+    messages: {
+      [ALERT_TYPES.EARLY_WARNING]:
+        "Se esperan alertas en su zona en los próximos minutos",
+      [ALERT_TYPES.EXIT_NOTIFICATION]:
+        "El evento ha terminado. Puede salir del espacio protegido",
+      [ALERT_TYPES.TEST]: "Esta es una alerta de prueba",
+      [FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED]:
+        "Permanezca en el espacio protegido",
+    },
+    countdown: "{seconds} segundos para llegar al espacio protegido",
+    nationwide: "Todo el país",
+    actions: {
+      [PROTECTIVE_ACTIONS.SHELTER]:
+        "Entre en el espacio protegido y permanezca allí 10 minutos",
+      [PROTECTIVE_ACTIONS.LOCKDOWN]:
+        "Cierre puertas y ventanas con llave, permanezca dentro y en silencio",
+      [PROTECTIVE_ACTIONS.STAY_INDOORS]:
+        "Permanezca en el interior, cierre las ventanas y apague la ventilación",
+      [PROTECTIVE_ACTIONS.OPEN_AREA]:
+        "Salga del edificio a un área abierta; si no es posible, entre en el espacio protegido o la escalera",
+      [PROTECTIVE_ACTIONS.HIGH_GROUND]:
+        "Aléjese de la costa hacia terreno elevado de inmediato",
+      [PROTECTIVE_ACTIONS.FOLLOW_INSTRUCTIONS]:
+        "Siga las instrucciones del Comando del Frente Interno",
+    },
+    threats: {
+      missiles: "Cohetes y misiles",
+      general: "Alerta del Comando del Frente Interno",
+      "terrorist-infiltration": "Temor de infiltración de terroristas",
+      "non-conventional-missile": "Misil no convencional",
+      radiological: "Evento radiológico",
+      tsunami: "Tsunami",
+      "hostile-aircraft": "Intrusión de aeronave hostil",
+      earthquake: "Terremoto",
+      "hazardous-materials": "Evento de materiales peligrosos",
+      drill: "Simulacro del Comando del Frente Interno",
+    },
+  },
+};
+
+// Media files a language can override (falls back to the default file)
+const LANGUAGE_MEDIA_KEYS = {
+  "/alert-video": "alertVideoPath",
+  "/test-video": "testVideoPath",
+  "/early-warning-video": "earlyWarningVideoPath",
+  "/exit-notification-video": "exitNotificationVideoPath",
+  "/shelter-instructions-primary": "shelterPrimaryFile",
+  "/shelter-instructions-early-warning": "shelterEarlyWarningFile",
+  "/shelter-instructions-exit-notification": "shelterExitFile",
+};
+
+// Local text-to-speech engines for announcements. Command placeholders:
+// {text}, {file}, {voice}, {language}. Without {text} the text goes to stdin.
+const TTS_ENGINES = {
+  "espeak-ng": {
+    command: "espeak-ng -v {voice} -w {file} {text}",
+    extension: "wav",
+    voices: { he: "he", en: "en", ru: "ru", ar: "ar", es: "es" },
+  },
+  pico2wave: {
+    command: "pico2wave -l {voice} -w {file} {text}",
+    extension: "wav",
+    voices: { en: "en-US", es: "es-ES" },
+  },
+};
+
+// --- Chromecast device list
+const CAST_PORT = 8009;
+const DEFAULT_DISCOVERY_CONFIG = {
+  enabled: true, // mDNS/SSDP discovery (static devices are always used)
+  intervalMinutes: 5, // rediscovery rounds, merged into the device list
+  heartbeatSeconds: 60, // reachability probe of every known device
+  missedHeartbeats: 3, // discovered devices are removed after this many
+};
+const DEVICE_PROBE_TIMEOUT_MS = 3000;
+
+/**
+ * Key of a Chromecast in the device registry and playback sessions. Cast
+ * groups share their leader's host, so non-default ports are part of it.
+ */
+function deviceKey(device) {
+  return device.port && device.port !== CAST_PORT
+    ? `${device.host}:${device.port}`
+    : device.host;
+}
+
+/**
+ * Cast groups play on their member speakers, so by default they are left out.
+ * Discovered groups announce themselves with a "Google-Cast-Group-" name.
+ */
+function isCastGroup(device) {
+  return (
+    device.castGroup === true || /^Google-Cast-Group-/i.test(device.name || "")
+  );
+}
+
+// --- Device groups and routing rules
+const ROUTING_ACTIONS = {
+  ONLY: "only", // targets play, every other device skips
+  PLAY: "play", // targets play
+  SKIP: "skip", // targets skip
+};
+const ROUTE_TARGETS = {
+  ALL: "all", // every device, cast groups included
+  CAST_GROUPS: "cast-groups",
+};
+
+// --- Schedule profiles
+const DEFAULT_TIMEZONE = "Asia/Jerusalem";
+const WEEKDAYS = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+// --- Shabbat / Yom Tov (Israel: one day each)
+const YOM_TOV = {
+  "Tishri 1": "Rosh Hashana",
+  "Tishri 2": "Rosh Hashana",
+  "Tishri 10": "Yom Kippur",
+  "Tishri 15": "Sukkot",
+  "Tishri 22": "Shemini Atzeret",
+  "Nisan 15": "Pesach",
+  "Nisan 21": "Pesach",
+  "Sivan 6": "Shavuot",
+};
+const HEBREW_DATE_FORMAT = new Intl.DateTimeFormat("en-u-ca-hebrew", {
+  timeZone: "UTC",
+  day: "numeric",
+  month: "long",
+});
+
+/**
+ * Wall-clock time in a timezone: `date` (YYYY-MM-DD), `day` (0 = Sunday),
+ * `hour`, `minutes` since midnight and a sortable `stamp` (YYYY-MM-DDTHH:MM).
+ */
+function zonedTime(date, timeZone) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    weekday: "short",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+  })
+    .formatToParts(date)
+    .forEach(({ type, value }) => (parts[type] = value));
+  const day = `${parts.year}-${parts.month}-${parts.day}`;
+  return {
+    date: day,
+    day: WEEKDAYS.indexOf(parts.weekday.toLowerCase()),
+    hour: Number(parts.hour),
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+    stamp: `${day}T${parts.hour}:${parts.minute}`,
+  };
+}
+
+/**
+ * The civil date `days` after `ymd` (YYYY-MM-DD).
+ */
+function shiftDate(ymd, days) {
+  const [year, month, day] = ymd.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day + days))
+    .toISOString()
+    .slice(0, 10);
+}
+
+/**
+ * "HH:MM" to minutes since midnight ("24:00" allowed as an end), or null.
+ */
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || "").trim());
+  if (!match) return null;
+  const minutes = Number(match[1]) * 60 + Number(match[2]);
+  return Number(match[2]) < 60 && minutes <= 24 * 60 ? minutes : null;
+}
+
+/**
+ * Whether `hour` falls in an inclusive window that may wrap midnight (22-6).
+ */
+function hourInWindow(hour, startHour, endHour) {
+  return startHour <= endHour
+    ? hour >= startHour && hour <= endHour
+    : hour >= startHour || hour <= endHour;
+}
+
+// Receiver apps recognized when putting a Chromecast back after an alert
+const CAST_APPS = {
+  DEFAULT_MEDIA_RECEIVER: "CC1AD845",
+  BACKDROP: "E8C28D3C", // ambient / idle screen
+};
+const RECEIVER_STATUS_TIMEOUT_MS = 2000;
+
+const ANNOUNCEMENT_MODES = {
+  AFTER: "after", // queued after the alert media
+  INSTEAD: "instead", // replaces the alert media
+};
+
+// Per-threat defaults (drills are opt-in)
+const DEFAULT_THREAT_CONFIG = {
+  enabled: true,
+  sensor: false,
+};
+const DISABLED_BY_DEFAULT_THREATS = ["drill"];
+
+/**
+ * Threat ID for a threat key ("hostile-aircraft") or numeric ID, or null.
+ */
+function resolveThreatId(keyOrId) {
+  if (THREAT_ID_MAPPING[keyOrId]) return Number(keyOrId);
+  const entry = Object.entries(THREAT_ID_MAPPING).find(
+    ([, threat]) => threat.key === keyOrId
+  );
+  return entry ? Number(entry[0]) : null;
+}
+
+const TEST_SWITCH_LABELS = {
+  [ALERT_TYPES.EARLY_WARNING]: "Early Warning",
+  [ALERT_TYPES.PRIMARY]: "Primary",
+  [ALERT_TYPES.EXIT_NOTIFICATION]: "Exit Notification",
 };
 
 // Early warning validation keywords (Hebrew only)
@@ -97,18 +646,323 @@ const DEFAULT_MEDIA_PATHS = {
   shelterExitFile: "exit.mp4",
 };
 
-// Debounce time
-const ALERT_DEBOUNCE_TIME = 2 * 60 * 1000; // 2 minutes
+// Debounce per alert type and city, and grouping of messages into incidents
+const DEFAULT_DEBOUNCE_SECONDS = 120;
+const INCIDENT_GROUPING = {
+  NONE: "none",
+  NOTIFICATION: "notification", // same Tzofar notificationId
+  WINDOW: "window", // within groupWindowSeconds of the first message
+};
+
+// Geo helpers for proximity monitoring
+const EARTH_RADIUS_KM = 6371;
+const COMPASS_POINTS = ["N", "NE", "E", "SE", "S", "SW", "W", "NW"];
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Great-circle distance in kilometers (haversine formula).
+ */
+function distanceKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) *
+      Math.cos(toRadians(lat2)) *
+      Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Initial bearing in degrees (0-360) from the first point to the second.
+ */
+function bearingDegrees(lat1, lng1, lat2, lng2) {
+  const dLng = toRadians(lng2 - lng1);
+  const y = Math.sin(dLng) * Math.cos(toRadians(lat2));
+  const x =
+    Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2)) -
+    Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLng);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+function compassDirection(bearing) {
+  return COMPASS_POINTS[Math.round(bearing / 45) % COMPASS_POINTS.length];
+}
+
+// Sun altitude at sunset (refraction and solar disc) and at nightfall
+const SUNSET_ALTITUDE = -0.833;
+const NIGHTFALL_ALTITUDE = -8.5;
+
+/**
+ * When the setting sun reaches `altitude` degrees on the civil day `ymd`
+ * (YYYY-MM-DD) at lat/lng, as epoch ms, using the sunrise equation (about a
+ * minute of accuracy). Null when the sun never gets that low.
+ */
+function sunsetTime(ymd, lat, lng, altitude = SUNSET_ALTITUDE) {
+  const [year, month, day] = ymd.split("-").map(Number);
+  const julianDay = Date.UTC(year, month - 1, day, 12) / 86400000 + 2440587.5;
+  const meanSolarTime = julianDay - 2451545 + 0.0008 - lng / 360;
+  const anomaly = (357.5291 + 0.98560028 * meanSolarTime) % 360;
+  const center =
+    1.9148 * Math.sin(toRadians(anomaly)) +
+    0.02 * Math.sin(toRadians(2 * anomaly)) +
+    0.0003 * Math.sin(toRadians(3 * anomaly));
+  const eclipticLongitude = toRadians(
+    (anomaly + center + 180 + 102.9372) % 360
+  );
+  const transit =
+    2451545 +
+    meanSolarTime +
+    0.0053 * Math.sin(toRadians(anomaly)) -
+    0.0069 * Math.sin(2 * eclipticLongitude);
+  const declination = Math.asin(
+    Math.sin(eclipticLongitude) * Math.sin(toRadians(23.4397))
+  );
+  const cosHourAngle =
+    (Math.sin(toRadians(altitude)) -
+      Math.sin(toRadians(lat)) * Math.sin(declination)) /
+    (Math.cos(toRadians(lat)) * Math.cos(declination));
+  if (Math.abs(cosHourAngle) > 1) return null;
+  const sunset = transit + (Math.acos(cosHourAngle) * 180) / Math.PI / 360;
+  return Math.round((sunset - 2440587.5) * 86400000);
+}
+
+// --- Alert sources
+const DEFAULT_OREF_URL =
+  "https://www.oref.org.il/WarningMessages/alert/alerts.json";
+
+// Source events carry an ALERT_TYPES kind, or this one for Tzofar system
+// messages that still need to be classified
+const SYSTEM_MESSAGE_KIND = "system-message";
+
+// Where an event came from. Simulated events run the full alert path but are
+// never written to the real history or persisted debounce/cooldown state.
+const DEFAULT_ORIGIN = { source: "tzofar", simulated: false };
+const SIMULATION_SOURCE = "simulation";
+const SIMULATED_HISTORY_SIZE = 200;
+
+// Oref alert titles to Tzofar threat IDs. Drills come first so a drill
+// title that also names a threat is never treated as a real alert.
+const OREF_TITLE_THREATS = [
+  ["תרגיל", 9],
+  ["ירי רקטות וטילים", 0],
+  ["כלי טיס עוין", 5],
+  ["חדירת מחבלים", 2],
+  ["רעידת אדמה", 3],
+  ["צונאמי", 4],
+  ["חומרים מסוכנים", 1],
+  ["רדיולוגי", 6],
+  ["בלתי קונבנציונלי", 7],
+];
+
+const toIsoTime = (timestamp) =>
+  timestamp ? new Date(timestamp).toISOString() : null;
+
+/**
+ * Exponential backoff capped at `max`, with +/-20% jitter so many installs
+ * don't reconnect in lockstep after an outage.
+ */
+function reconnectDelay(attempt, base, max) {
+  const delay = Math.min(base * Math.pow(1.5, attempt), max);
+  return Math.round(Math.min(delay * (0.8 + Math.random() * 0.4), max));
+}
+
+/**
+ * Normalize a Tzofar-format message ({ type, data }) into a source event.
+ */
+function normalizeTzofarMessage(source, message) {
+  if (!message || typeof message !== "object" || !message.data) return null;
+  const simulated = message.simulated === true;
+  if (message.type === "ALERT") {
+    return { source, simulated, kind: ALERT_TYPES.PRIMARY, data: message.data };
+  }
+  if (message.type === "SYSTEM_MESSAGE") {
+    return { source, simulated, kind: SYSTEM_MESSAGE_KIND, data: message.data };
+  }
+  return null;
+}
+
+/**
+ * Turn a recording into timed Tzofar messages: `[{ offsetMs, message }]`.
+ *
+ * Accepts a JSON array, a single object, `{ messages: [...] }` or JSON Lines
+ * (e.g. a history file). Each entry is a Tzofar message, a history record
+ * (`alertType` + `raw`), or `{ message, delay | offset }`. Timing comes from
+ * `delay` (ms after the previous entry), `offset` (ms from the start), or the
+ * recorded `timestamp` / `data.time`.
+ */
+function parseReplayEntries(input) {
+  let items = input;
+  if (typeof input === "string") {
+    const text = input.trim();
+    try {
+      items = JSON.parse(text);
+    } catch (error) {
+      items = text
+        .split(/\r?\n/)
+        .filter((line) => line.trim())
+        .map((line) => JSON.parse(line));
+    }
+  }
+  if (!Array.isArray(items)) {
+    items = Array.isArray(items?.messages) ? items.messages : [items];
+  }
+
+  const toMessage = (item) => {
+    if (!item || typeof item !== "object") return null;
+    if (item.message) return item.message;
+    if (item.type === "ALERT" || item.type === "SYSTEM_MESSAGE") return item;
+    // History record; only real alert types carry a replayable payload
+    if (item.raw && !item.simulated) {
+      if (item.alertType === ALERT_TYPES.PRIMARY) {
+        return { type: "ALERT", data: item.raw };
+      }
+      if (
+        item.alertType === ALERT_TYPES.EARLY_WARNING ||
+        item.alertType === ALERT_TYPES.EXIT_NOTIFICATION ||
+        item.alertType === SYSTEM_MESSAGE_KIND
+      ) {
+        return { type: "SYSTEM_MESSAGE", data: item.raw };
+      }
+    }
+    return null;
+  };
+  const recordedTime = (item, message) => {
+    if (item.timestamp) return Date.parse(item.timestamp);
+    if (Number.isFinite(message.data?.time)) return message.data.time * 1000;
+    return null;
+  };
+
+  let offsetMs = 0;
+  let firstTime = null;
+  const entries = [];
+  for (const item of items) {
+    const message = toMessage(item);
+    if (!message) continue;
+    if (Number.isFinite(item.delay)) {
+      offsetMs += item.delay;
+    } else if (Number.isFinite(item.offset)) {
+      offsetMs = item.offset;
+    } else {
+      const time = recordedTime(item, message);
+      if (Number.isFinite(time)) {
+        if (firstTime === null) firstTime = time;
+        offsetMs = Math.max(offsetMs, time - firstTime);
+      }
+    }
+    entries.push({ offsetMs, message });
+  }
+  return entries;
+}
+
+function orefThreatId(title) {
+  const match = OREF_TITLE_THREATS.find(([fragment]) =>
+    title.includes(fragment)
+  );
+  return match ? match[1] : 8;
+}
+
+// --- Media/API server access control
+const DEFAULT_SERVER_CONFIG = {
+  bindAddress: "",
+  apiToken: "",
+  signMediaUrls: false,
+  mediaUrlTtlSeconds: 300,
+  allowedIps: [],
+  allowChromecastDevices: true,
+};
+
+const LOOPBACK_ADDRESSES = ["127.0.0.1", "::1", "localhost"];
+
+/**
+ * Strip the IPv4-mapped IPv6 prefix Express reports for IPv4 clients.
+ */
+function normalizeIp(ip) {
+  if (typeof ip !== "string") return "";
+  return ip.startsWith("::ffff:") ? ip.slice(7) : ip;
+}
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".").map(Number);
+  if (
+    parts.length !== 4 ||
+    parts.some((p) => !Number.isInteger(p) || p < 0 || p > 255)
+  ) {
+    return null;
+  }
+  return parts.reduce((acc, p) => acc * 256 + p, 0);
+}
+
+/**
+ * Match an IP against an allowlist rule: exact address or IPv4 CIDR (e.g. 192.168.1.0/24).
+ */
+function ipMatchesRule(ip, rule) {
+  const address = normalizeIp(ip);
+  const [base, bits] = String(rule).trim().split("/");
+  if (bits === undefined) return address === normalizeIp(base);
+
+  const prefix = Number(bits);
+  const addressInt = ipv4ToInt(address);
+  const baseInt = ipv4ToInt(base);
+  if (addressInt === null || baseInt === null) return false;
+  if (!Number.isInteger(prefix) || prefix < 0 || prefix > 32) return false;
+  if (prefix === 0) return true;
+  const size = 2 ** (32 - prefix);
+  return Math.floor(addressInt / size) === Math.floor(baseInt / size);
+}
+
+/**
+ * Constant-time string comparison for tokens and signatures.
+ */
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
 
 class TzofarWebSocketClient {
-  constructor(plugin) {
+  constructor(plugin, name = "tzofar") {
     this.plugin = plugin;
+    this.name = name;
     this.ws = null;
     this.reconnectAttempts = 0;
     this.pingInterval = null;
     this.pongTimeout = null;
     this.shouldReconnect = true;
     this.reconnectTimer = null;
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
+    this.lastActivityAt = null;
+    this.totalReconnects = 0;
+  }
+
+  isConnected() {
+    return !!this.ws && this.ws.readyState === WebSocket.OPEN;
+  }
+
+  getStatus() {
+    return {
+      name: this.name,
+      type: "websocket",
+      connected: this.isConnected(),
+      url: this.plugin.tzofar.wsUrl,
+      connectedAt: toIsoTime(this.connectedAt),
+      disconnectedAt: toIsoTime(this.disconnectedAt),
+      lastMessageAt: toIsoTime(this.lastMessageAt),
+      lastActivityAt: toIsoTime(this.lastActivityAt),
+      reconnectAttempts: this.reconnectAttempts,
+      totalReconnects: this.totalReconnects,
+    };
+  }
+
+  start() {
+    this.connect();
+  }
+
+  stop() {
+    this.disconnect();
   }
 
   generateTzofar() {
@@ -132,7 +986,12 @@ class TzofarWebSocketClient {
 
     this.ws.on("open", () => {
       this.plugin.log.info("✅ Tzofar WebSocket connected");
+      this.connectedAt = Date.now();
+      this.lastActivityAt = this.connectedAt;
       this.reconnectAttempts = 0;
+      this.plugin.eventFeed.publish(FEED_EVENT_TYPES.CONNECTION_UP, {
+        source: "tzofar",
+      });
       this.startPingPong();
       if (this.reconnectTimer) {
         clearTimeout(this.reconnectTimer);
@@ -142,6 +1001,8 @@ class TzofarWebSocketClient {
 
     this.ws.on("message", (data) => {
       const message = data.toString();
+      this.lastMessageAt = Date.now();
+      this.lastActivityAt = this.lastMessageAt;
       if (message.length > 0) {
         this.plugin.log.debug(
           `📡 Tzofar message: ${message.substring(0, 100)}...`
@@ -153,6 +1014,7 @@ class TzofarWebSocketClient {
 
     this.ws.on("pong", () => {
       this.plugin.log.debug("🏓 Received pong from Tzofar");
+      this.lastActivityAt = Date.now();
       this.resetPongTimeout();
     });
 
@@ -164,6 +1026,11 @@ class TzofarWebSocketClient {
       this.plugin.log.warn(
         `⚠️ Tzofar WebSocket closed: Code ${code}, Reason: ${reason.toString()}`
       );
+      this.disconnectedAt = Date.now();
+      this.plugin.eventFeed.publish(FEED_EVENT_TYPES.CONNECTION_DOWN, {
+        source: "tzofar",
+        code,
+      });
       this.stopPingPong();
       if (this.shouldReconnect) {
         this.scheduleReconnect();
@@ -180,12 +1047,12 @@ class TzofarWebSocketClient {
         this.plugin.log.info(
           `🚨 Processing ALERT: ${JSON.stringify(data.data)}`
         );
-        this.plugin.handlePrimaryAlert(data.data);
+        this.plugin.handleSourceEvent(normalizeTzofarMessage(this.name, data));
       } else if (data.type === "SYSTEM_MESSAGE") {
         this.plugin.log.info(
           `🟡 Processing SYSTEM_MESSAGE: ${JSON.stringify(data.data)}`
         );
-        this.plugin.handleSystemMessage(data.data);
+        this.plugin.handleSourceEvent(normalizeTzofarMessage(this.name, data));
       } else {
         this.plugin.log.debug(
           `📋 Unknown Tzofar message type: ${
@@ -235,29 +1102,36 @@ class TzofarWebSocketClient {
     }
   }
 
+  /**
+   * Reconnect forever - giving up would leave the house silent. Past
+   * `maxReconnectAttempts` we only escalate the log and keep retrying
+   * at the maximum interval.
+   */
   scheduleReconnect() {
     if (this.reconnectTimer || !this.shouldReconnect) return;
 
-    const currentInterval = Math.min(
-      this.plugin.tzofar.reconnectInterval *
-        Math.pow(1.5, this.reconnectAttempts),
+    const currentInterval = reconnectDelay(
+      this.reconnectAttempts,
+      this.plugin.tzofar.reconnectInterval,
       this.plugin.tzofar.maxReconnectInterval
     );
 
-    if (this.reconnectAttempts >= this.plugin.tzofar.maxReconnectAttempts) {
-      this.plugin.log.error("❌ Max Tzofar reconnect attempts reached");
-      return;
+    if (this.reconnectAttempts === this.plugin.tzofar.maxReconnectAttempts) {
+      this.plugin.log.error(
+        `❌ Tzofar still unreachable after ${this.reconnectAttempts} attempts - will keep retrying`
+      );
     }
 
     this.plugin.log.info(
-      `🔄 Scheduling Tzofar reconnect in ${currentInterval / 1000}s (attempt ${
-        this.reconnectAttempts + 1
-      })`
+      `🔄 Scheduling Tzofar reconnect in ${Math.round(
+        currentInterval / 1000
+      )}s (attempt ${this.reconnectAttempts + 1})`
     );
 
     this.reconnectTimer = setTimeout(() => {
       this.reconnectTimer = null;
       this.reconnectAttempts++;
+      this.totalReconnects++;
       this.connect();
     }, currentInterval);
   }
@@ -275,586 +1149,4193 @@ class TzofarWebSocketClient {
   }
 }
 
-class RedAlertPlugin {
-  constructor(log, config, api) {
-    this.log = log;
-    this.api = api;
-    this.config = config || {};
+/**
+ * Polls an HTTP endpoint for alerts. Understands the official Oref
+ * alerts.json format and Tzofar-format messages from custom feeds.
+ */
+class HttpPollingSource {
+  constructor(plugin, name, options) {
+    this.plugin = plugin;
+    this.name = name;
+    this.url = options.url;
+    this.format = options.format === "tzofar" ? "tzofar" : "oref";
+    this.pollInterval = options.pollInterval || 2000;
+    this.timeout = options.timeout || 5000;
+    this.headers = options.headers || {};
+    this.pollTimer = null;
+    this.running = false;
+    this.connected = false;
+    this.lastPollAt = null;
+    this.lastSuccessAt = null;
+    this.lastMessageAt = null;
+    this.lastError = null;
+    this.consecutiveErrors = 0;
+    this.seen = new Map(); // key: alert/message ID, value: { cities, timestamp }
+  }
 
-    // --- Media file paths
-    for (const key in DEFAULT_MEDIA_PATHS) {
-      this[key] = config[key] || DEFAULT_MEDIA_PATHS[key];
-    }
+  start() {
+    this.running = true;
+    this.plugin.log.info(
+      `🔌 Polling ${this.name} every ${this.pollInterval / 1000}s: ${this.url}`
+    );
+    this.poll();
+  }
 
-    // --- General settings
-    this.name = config.name || "Red Alert";
-    this.selectedCities = Array.isArray(config.cities) ? config.cities : [];
-    this.useChromecast = config.useChromecast !== false;
-    this.chromecastVolume = Number.isFinite(config.chromecastVolume)
-      ? config.chromecastVolume
-      : 50;
-    this.chromecastTimeout = Number.isFinite(config.chromecastTimeout)
-      ? config.chromecastTimeout
-      : 30;
-    this.serverPort = Number.isFinite(config.serverPort)
-      ? config.serverPort
-      : 8095;
-    this.baseUrl =
-      config.baseUrl || `http://${this.getIpAddress()}:${this.serverPort}`;
+  stop() {
+    this.running = false;
+    if (this.pollTimer) {
+      clearTimeout(this.pollTimer);
+      this.pollTimer = null;
+    }
+  }
 
-    // --- Tzofar WebSocket configuration
-    this.tzofar = {
-      enabled: config.tzofar?.enabled !== false,
-      wsUrl:
-        config.tzofar?.wsUrl ||
-        "wss://ws.tzevaadom.co.il/socket?platform=ANDROID",
-      reconnectInterval: config.tzofar?.reconnectInterval || 10000,
-      maxReconnectInterval: config.tzofar?.maxReconnectInterval || 60000,
-      maxReconnectAttempts: config.tzofar?.maxReconnectAttempts || 10,
-      pingInterval: config.tzofar?.pingInterval || 60000,
-      pongTimeout: config.tzofar?.pongTimeout || 420000,
+  getStatus() {
+    return {
+      name: this.name,
+      type: "http",
+      format: this.format,
+      connected: this.connected,
+      url: this.url,
+      lastPollAt: toIsoTime(this.lastPollAt),
+      lastSuccessAt: toIsoTime(this.lastSuccessAt),
+      lastMessageAt: toIsoTime(this.lastMessageAt),
+      lastActivityAt: toIsoTime(this.lastSuccessAt),
+      lastError: this.lastError,
+      consecutiveErrors: this.consecutiveErrors,
     };
+  }
 
-    // --- Cities data management
-    this.citiesJsonPath =
-      config.citiesJsonPath || path.join(__dirname, "cities.json");
-    this.citiesData = null;
-    this.cityNameToId = new Map();
+  async poll() {
+    this.lastPollAt = Date.now();
+    try {
+      const response = await fetch(this.url, {
+        headers: this.requestHeaders(),
+        signal: AbortSignal.timeout(this.timeout),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      // Oref returns an empty body (sometimes only a BOM) when there is no alert
+      const body = (await response.text()).replace(/^\uFEFF/, "").trim();
+      this.markHealthy();
+      if (body) this.handleBody(body);
+    } catch (error) {
+      this.markFailed(error);
+    }
 
-    // --- Debounce and tracking systems
-    this.alertDebounce = new Map(); // key: "alertType_cityName", value: timestamp
-    this.lastAlertTypePerCity = new Map(); // key: "cityName", value: { alertType, timestamp }
+    this.pruneSeen();
+    if (this.running) {
+      this.pollTimer = setTimeout(() => this.poll(), this.pollInterval);
+    }
+  }
 
-    // --- Per-alert-type config (enable, time, volume)
-    this.alertsConfig = this.parseAlertsConfig(config);
+  requestHeaders() {
+    if (this.format !== "oref") return this.headers;
+    return {
+      Referer: "https://www.oref.org.il/",
+      "X-Requested-With": "XMLHttpRequest",
+      ...this.headers,
+    };
+  }
 
-    // --- Per-device, per-alert volume
-    this.chromecastVolumes = Array.isArray(config.chromecastVolumes)
-      ? config.chromecastVolumes
-      : [];
-    this.deviceOverrides = this.parseDeviceOverrides(this.chromecastVolumes);
+  markHealthy() {
+    this.lastSuccessAt = Date.now();
+    this.consecutiveErrors = 0;
+    this.lastError = null;
+    if (!this.connected) {
+      this.connected = true;
+      this.plugin.log.info(`✅ ${this.name} source reachable`);
+      this.plugin.eventFeed.publish(FEED_EVENT_TYPES.CONNECTION_UP, {
+        source: this.name,
+      });
+    }
+  }
 
-    // --- Shelter instructions
-    const DEFAULT_SHELTER = {
-      devices: [],
-      primaryFile: "ballistic_closure.mp4",
-      earlyWarningFile: "ballistic_windows_closed.mp4",
-      exitFile: "exit.mp4",
-      minIntervalMinutes: 20,
-    };
-    this.shelterInstructions = Object.assign(
-      {},
-      DEFAULT_SHELTER,
-      config.shelterInstructions || {}
-    );
-    this.shelterInstructionsLastPlayed = {}; // { deviceName: { alertType: timestamp } }
+  markFailed(error) {
+    this.consecutiveErrors++;
+    this.lastError = error.message;
+    this.plugin.log.debug(`⚠️ ${this.name} poll failed: ${error.message}`);
+    // A single failed poll is common; report an outage after three in a row
+    if (this.connected && this.consecutiveErrors >= 3) {
+      this.connected = false;
+      this.plugin.log.warn(
+        `⚠️ ${this.name} source unreachable: ${error.message}`
+      );
+      this.plugin.eventFeed.publish(FEED_EVENT_TYPES.CONNECTION_DOWN, {
+        source: this.name,
+        error: error.message,
+      });
+    }
+  }
 
-    // --- State for HomeKit
-    this.isAlertActive = false;
-    this.isEarlyWarningActive = false;
-    this.isExitNotificationActive = false;
-    this.alertActiveCities = [];
-    this.earlyWarningActiveCities = [];
-    this.exitNotificationActiveCities = [];
-    this.tzofarClient = null;
-    this.devices = [];
-
-    // --- HomeKit services
-    this.service = new Service.ContactSensor(this.name);
-    this.testSwitchService = new Service.Switch(`${this.name} Test`, "test");
-    this.testSwitchService
-      .getCharacteristic(Characteristic.On)
-      .on("set", this.handleTestSwitch.bind(this));
-    this.earlyWarningService = new Service.ContactSensor(
-      `${this.name} Early Warning`,
-      "early-warning"
-    );
-    this.exitNotificationService = new Service.ContactSensor(
-      `${this.name} Exit Notification`,
-      "exit-notification"
-    );
+  handleBody(body) {
+    let payload;
+    try {
+      payload = JSON.parse(body);
+    } catch (error) {
+      this.plugin.log.warn(
+        `❌ Invalid JSON from ${this.name}: ${error.message}`
+      );
+      return;
+    }
 
-    // --- Startup logic
-    if (this.api) {
-      this.api.on("didFinishLaunching", async () => {
-        this.log.info("🚀 Initializing Red Alert plugin with Tzofar...");
+    const events =
+      this.format === "oref"
+        ? [this.normalizeOref(payload)]
+        : (Array.isArray(payload) ? payload : [payload]).map((message) =>
+            this.normalizeTzofar(message)
+          );
+    events.filter(Boolean).forEach((event) => {
+      this.lastMessageAt = Date.now();
+      this.plugin.log.info(
+        `📡 ${this.name} ${event.kind}: ${JSON.stringify(event.data)}`
+      );
+      this.plugin.handleSourceEvent(event);
+    });
+  }
 
-        // Load cities data for Tzofar mode
-        const citiesLoaded = await this.loadCitiesData();
-        if (!citiesLoaded) {
-          this.log.error("❌ Cannot start without cities data");
-          return;
-        }
+  /**
+   * Oref keeps returning the active alert while it lasts and adds cities to
+   * it, so only cities not yet seen for that alert ID are passed on.
+   */
+  normalizeOref(payload) {
+    if (!payload || !Array.isArray(payload.data)) return null;
+    const id = String(payload.id || payload.title);
+    const seen = this.seen.get(id) || { cities: new Set(), timestamp: 0 };
+    seen.timestamp = Date.now();
+    this.seen.set(id, seen);
+
+    const cities = payload.data.filter((city) => !seen.cities.has(city));
+    if (cities.length === 0) return null;
+    cities.forEach((city) => seen.cities.add(city));
+
+    const title = payload.title || "";
+    const desc = payload.desc || "";
+    const text = `${title} ${desc}`;
+    const systemKind = EXIT_NOTIFICATION_KEYWORDS.some((k) => text.includes(k))
+      ? ALERT_TYPES.EXIT_NOTIFICATION
+      : EARLY_WARNING_KEYWORDS.some((k) => text.includes(k))
+      ? ALERT_TYPES.EARLY_WARNING
+      : null;
+
+    if (systemKind) {
+      return {
+        source: this.name,
+        kind: systemKind,
+        data: {
+          id,
+          titleHe: title,
+          bodyHe: desc,
+          citiesIds: cities
+            .map((city) => this.plugin.cityNameToId.get(city))
+            .filter((cityId) => cityId !== undefined),
+          cities,
+        },
+      };
+    }
 
-        this.setupMediaServer();
-        this.copyDefaultMediaFiles();
-        if (this.useChromecast) this.setupChromecastDiscovery();
+    return {
+      source: this.name,
+      kind: ALERT_TYPES.PRIMARY,
+      data: {
+        notificationId: `${this.name}-${id}`,
+        time: Math.floor(Date.now() / 1000),
+        threat: orefThreatId(title),
+        isDrill: false,
+        cities,
+        title,
+      },
+    };
+  }
 
-        this.setupTzofarWebSocket();
-        this.setupCleanupTimer();
+  /**
+   * Polled feeds repeat the same message, so each is passed on only once.
+   */
+  normalizeTzofar(message) {
+    const key = crypto
+      .createHash("sha1")
+      .update(JSON.stringify(message))
+      .digest("hex");
+    const alreadySeen = this.seen.has(key);
+    this.seen.set(key, { cities: null, timestamp: Date.now() });
+    return alreadySeen ? null : normalizeTzofarMessage(this.name, message);
+  }
 
-        this.log.info("✅ Red Alert plugin initialization complete");
-      });
+  pruneSeen() {
+    const cutoff = Date.now() - 10 * 60 * 1000;
+    for (const [key, entry] of this.seen) {
+      if (entry.timestamp < cutoff) this.seen.delete(key);
     }
   }
+}
 
-  // Cities data management
-  async loadCitiesData() {
-    try {
-      this.log.info("📍 Loading cities data...");
+/**
+ * User-supplied WebSocket feed sending Tzofar-format messages. Reconnects
+ * with backoff for as long as the plugin runs.
+ */
+class WebSocketFeedSource {
+  constructor(plugin, name, options) {
+    this.plugin = plugin;
+    this.name = name;
+    this.url = options.url;
+    this.headers = options.headers || {};
+    this.reconnectInterval = options.reconnectInterval || 5000;
+    this.maxReconnectInterval = options.maxReconnectInterval || 60000;
+    this.ws = null;
+    this.running = false;
+    this.reconnectTimer = null;
+    this.reconnectAttempts = 0;
+    this.totalReconnects = 0;
+    this.connectedAt = null;
+    this.disconnectedAt = null;
+    this.lastMessageAt = null;
+    this.lastActivityAt = null;
+    this.pingTimer = null;
+  }
 
-      if (!fs.existsSync(this.citiesJsonPath)) {
-        this.log.error(`❌ Cities file not found: ${this.citiesJsonPath}`);
-        return false;
-      }
+  start() {
+    this.running = true;
+    this.connect();
+    // Ping so a quiet but healthy feed still shows activity
+    this.pingTimer = setInterval(() => {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) this.ws.ping();
+    }, 60000);
+  }
 
-      const citiesRaw = await fs.readFile(this.citiesJsonPath, "utf8");
-      const citiesData = JSON.parse(citiesRaw);
+  stop() {
+    this.running = false;
+    clearInterval(this.pingTimer);
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    if (this.ws) this.ws.terminate();
+  }
 
-      if (!citiesData.cities) {
-        this.log.error(
-          "❌ Invalid cities data format - missing 'cities' property"
-        );
-        return false;
-      }
+  getStatus() {
+    return {
+      name: this.name,
+      type: "websocket",
+      connected: !!this.ws && this.ws.readyState === WebSocket.OPEN,
+      url: this.url,
+      connectedAt: toIsoTime(this.connectedAt),
+      disconnectedAt: toIsoTime(this.disconnectedAt),
+      lastMessageAt: toIsoTime(this.lastMessageAt),
+      lastActivityAt: toIsoTime(this.lastActivityAt),
+      reconnectAttempts: this.reconnectAttempts,
+      totalReconnects: this.totalReconnects,
+    };
+  }
 
-      this.citiesData = citiesData.cities;
+  connect() {
+    this.plugin.log.info(`🔌 Connecting to ${this.name}: ${this.url}`);
+    this.ws = new WebSocket(this.url, { headers: this.headers });
 
-      // Create reverse lookup map: city name -> city ID
-      this.cityNameToId.clear();
-      for (const [cityName, cityInfo] of Object.entries(this.citiesData)) {
-        this.cityNameToId.set(cityName, cityInfo.id);
-      }
+    this.ws.on("open", () => {
+      this.plugin.log.info(`✅ ${this.name} WebSocket connected`);
+      this.connectedAt = Date.now();
+      this.lastActivityAt = this.connectedAt;
+      this.reconnectAttempts = 0;
+      this.plugin.eventFeed.publish(FEED_EVENT_TYPES.CONNECTION_UP, {
+        source: this.name,
+      });
+    });
 
-      this.log.info(`✅ Loaded ${Object.keys(this.citiesData).length} cities`);
+    this.ws.on("pong", () => (this.lastActivityAt = Date.now()));
 
-      // Validate configured cities
-      const invalidCities = this.selectedCities.filter(
-        (city) => !this.cityNameToId.has(city)
-      );
-      if (invalidCities.length > 0) {
-        this.log.warn(
-          `⚠️ Invalid cities in config: ${invalidCities.join(", ")}`
-        );
-      } else {
-        this.log.info(
-          `✅ All configured cities found: ${this.selectedCities.join(", ")}`
+    this.ws.on("message", (data) => {
+      this.lastMessageAt = Date.now();
+      this.lastActivityAt = this.lastMessageAt;
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        this.plugin.log.warn(
+          `❌ Invalid JSON from ${this.name}: ${error.message}`
         );
+        return;
       }
+      (Array.isArray(message) ? message : [message]).forEach((item) => {
+        const event = normalizeTzofarMessage(this.name, item);
+        if (event) this.plugin.handleSourceEvent(event);
+      });
+    });
 
-      return true;
-    } catch (error) {
-      this.log.error(`❌ Error loading cities data: ${error.message}`);
-      return false;
-    }
-  }
-
-  // Helper method to check if alert affects monitored cities or is nationwide
-  getAffectedCities(citiesIds) {
-    // Check for nationwide alert first
-    if (citiesIds.includes(NATIONWIDE_CITY_ID)) {
-      this.log.info("🌍 Nationwide alert detected (city ID 10000000)");
-      return this.selectedCities.length > 0
-        ? this.selectedCities
-        : ["Nationwide"];
-    }
+    this.ws.on("error", (error) => {
+      this.plugin.log.error(
+        `❌ ${this.name} WebSocket error: ${error.message}`
+      );
+    });
 
-    // Match against specific cities
-    const affectedCities = this.selectedCities.filter((cityName) => {
-      const cityId = this.cityNameToId.get(cityName);
-      if (!cityId) {
-        this.log.warn(`⚠️ City "${cityName}" not found in cities data`);
-        return false;
+    this.ws.on("close", (code) => {
+      const wasConnected = this.connectedAt > (this.disconnectedAt || 0);
+      this.disconnectedAt = Date.now();
+      if (wasConnected) {
+        this.plugin.log.warn(`⚠️ ${this.name} WebSocket closed: Code ${code}`);
+        this.plugin.eventFeed.publish(FEED_EVENT_TYPES.CONNECTION_DOWN, {
+          source: this.name,
+          code,
+        });
       }
-      return citiesIds.includes(cityId);
+      if (this.running) this.scheduleReconnect();
     });
+  }
 
-    return affectedCities;
+  scheduleReconnect() {
+    if (this.reconnectTimer) return;
+    const delay = reconnectDelay(
+      this.reconnectAttempts,
+      this.reconnectInterval,
+      this.maxReconnectInterval
+    );
+    this.reconnectAttempts++;
+    this.totalReconnects++;
+    this.plugin.log.debug(
+      `🔄 Reconnecting to ${this.name} in ${Math.round(delay / 1000)}s`
+    );
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect();
+    }, delay);
   }
+}
 
-  // Debounce helper method
-  canTriggerAlert(alertType, cityName) {
-    const key = `${alertType}_${cityName}`;
-    const lastTriggered = this.alertDebounce.get(key) || 0;
-    const now = Date.now();
+/**
+ * Replays recorded or handwritten Tzofar messages through
+ * TzofarWebSocketClient.handleMessage with their original timing, so the
+ * whole path (validation, matching, debounce, HomeKit, Chromecast) runs.
+ * Every message is tagged `simulated`.
+ */
+class AlertReplayer {
+  constructor(plugin) {
+    this.plugin = plugin;
+    this.client = new TzofarWebSocketClient(plugin, SIMULATION_SOURCE);
+    this.timers = [];
+    this.name = null;
+    this.total = 0;
+    this.sent = 0;
+    this.speed = 1;
+    this.startedAt = null;
+    this.finishedAt = null;
+  }
 
-    if (now - lastTriggered > ALERT_DEBOUNCE_TIME) {
-      this.alertDebounce.set(key, now);
-      this.log.debug(`✅ Debounce OK for ${alertType} in ${cityName}`);
-      return true;
+  get running() {
+    return this.timers.length > 0;
+  }
+
+  start(entries, { name = "replay", speed = 1 } = {}) {
+    this.stop();
+    this.name = name;
+    this.total = entries.length;
+    this.sent = 0;
+    this.speed = Math.min(Math.max(Number(speed) || 1, 0.1), 1000);
+    this.startedAt = Date.now();
+    this.finishedAt = null;
+
+    // Each replay starts with a clean simulated debounce and no incidents
+    for (const map of [this.plugin.alertDebounce, this.plugin.incidents]) {
+      for (const key of map.keys()) {
+        if (key.startsWith("simulated_")) map.delete(key);
+      }
     }
 
-    const minutesLeft = Math.ceil(
-      (ALERT_DEBOUNCE_TIME - (now - lastTriggered)) / 60000
+    const durationMs = entries.length
+      ? entries[entries.length - 1].offsetMs / this.speed
+      : 0;
+    this.plugin.log.info(
+      `🎬 Simulation "${name}" started: ${
+        entries.length
+      } messages over ${Math.round(durationMs / 1000)}s (speed x${this.speed})`
     );
-    this.log.debug(
-      `⏱️ Debounce active for ${alertType} in ${cityName} - ${minutesLeft} minutes left`
+
+    this.timers = entries.map(({ offsetMs, message }) =>
+      setTimeout(() => this.send(message), offsetMs / this.speed)
     );
-    return false;
+    if (entries.length === 0) this.finish();
   }
 
-  // Tzofar WebSocket setup
-  setupTzofarWebSocket() {
-    this.log.info(`🔌 Setting up Tzofar WebSocket connection...`);
-    this.tzofarClient = new TzofarWebSocketClient(this);
-    this.tzofarClient.connect();
+  send(message) {
+    this.sent++;
+    this.client.handleMessage(JSON.stringify({ ...message, simulated: true }));
+    if (this.sent >= this.total) this.finish();
   }
 
-  // Primary alert handler (from Tzofar ALERT messages)
-  handlePrimaryAlert(alertData) {
-    this.log.debug(`🚨 Processing primary alert: ${JSON.stringify(alertData)}`);
+  finish() {
+    this.timers = [];
+    this.finishedAt = Date.now();
+    this.plugin.log.info(
+      `🎬 Simulation "${this.name}" finished (${this.sent}/${this.total} messages)`
+    );
+  }
 
-    // Validate alert data
-    if (!alertData || alertData.isDrill) {
-      this.log.info("🧪 Drill alert received - ignoring");
-      return;
-    }
+  stop() {
+    if (!this.running) return;
+    this.timers.forEach((timer) => clearTimeout(timer));
+    this.finish();
+  }
 
-    if (!Array.isArray(alertData.cities) || alertData.cities.length === 0) {
-      this.log.warn("⚠️ Primary alert missing cities data");
-      return;
+  getStatus() {
+    return {
+      running: this.running,
+      name: this.name,
+      total: this.total,
+      sent: this.sent,
+      speed: this.speed,
+      startedAt: toIsoTime(this.startedAt),
+      finishedAt: toIsoTime(this.finishedAt),
+    };
+  }
+}
+
+/**
+ * File-based alert history under the Homebridge storage path: one JSON line
+ * per record in a daily file, plus a state snapshot for restart recovery.
+ */
+class AlertHistoryStore {
+  constructor(plugin, options) {
+    this.plugin = plugin;
+    this.dir = options.dir;
+    this.retentionDays = options.retentionDays;
+    this.maxRecords = options.maxRecords;
+    this.includeRaw = options.includeRaw;
+    this.records = []; // oldest first
+    this.recordsById = new Map();
+    this.writeQueue = Promise.resolve();
+  }
+
+  get statePath() {
+    return path.join(this.dir, "state.json");
+  }
+
+  async load() {
+    await fs.ensureDir(this.dir);
+    await this.prune();
+
+    const files = (await fs.readdir(this.dir))
+      .filter((file) => HISTORY_FILE_PATTERN.test(file))
+      .sort();
+    for (const file of files) {
+      const content = await fs.readFile(path.join(this.dir, file), "utf8");
+      for (const line of content.split("\n")) {
+        if (!line.trim()) continue;
+        try {
+          this.apply(JSON.parse(line));
+        } catch (error) {
+          this.plugin.log.warn(
+            `⚠️ Skipping corrupt history line in ${file}: ${error.message}`
+          );
+        }
+      }
     }
+    this.trim();
+    this.plugin.log.info(
+      `📚 Loaded ${this.records.length} history records from ${this.dir}`
+    );
+  }
 
-    // Map threat ID to alert info
-    const threatInfo = THREAT_ID_MAPPING[alertData.threat];
-    if (!threatInfo) {
-      this.log.warn(`⚠️ Unknown threat ID: ${alertData.threat}`);
+  apply(entry) {
+    if (entry.update) {
+      const record = this.recordsById.get(entry.update);
+      if (record) Object.assign(record, entry.patch);
       return;
     }
+    this.records.push(entry);
+    this.recordsById.set(entry.id, entry);
+  }
 
-    // Nationwide check for primary alert: city name "רחבי הארץ"
-    let affectedCities;
-    if (alertData.cities.includes("רחבי הארץ")) {
-      this.log.info('🌍 Nationwide primary alert detected ("רחבי הארץ")');
-      affectedCities =
-        this.selectedCities.length > 0 ? this.selectedCities : ["Nationwide"];
-    } else {
-      // Match by city name
-      affectedCities = alertData.cities.filter((city) =>
-        this.selectedCities.includes(city)
-      );
+  trim() {
+    while (this.records.length > this.maxRecords) {
+      this.recordsById.delete(this.records.shift().id);
     }
+  }
 
-    if (affectedCities.length === 0) {
-      this.log.debug(`🚨 Primary alert found but none for monitored cities`);
-      return;
-    }
+  add(record) {
+    if (!this.includeRaw) delete record.raw;
+    this.apply(record);
+    this.trim();
+    this.append(record);
+    return record;
+  }
 
-    // Apply debounce for each affected city
-    const debouncedCities = affectedCities.filter((cityName) =>
-      this.canTriggerAlert(threatInfo.type, cityName)
-    );
+  update(id, patch) {
+    const record = this.recordsById.get(id);
+    if (!record) return;
+    Object.assign(record, patch);
+    this.append({ update: id, patch });
+  }
 
-    if (debouncedCities.length === 0) {
-      this.log.info(
-        `🚨 Primary alert found for ${affectedCities.join(
-          ", "
-        )} but all are in debounce period`
+  append(entry) {
+    const file = path.join(
+      this.dir,
+      `history-${new Date().toISOString().slice(0, 10)}.jsonl`
+    );
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writeQueue = this.writeQueue
+      .then(() => fs.appendFile(file, line))
+      .catch((error) =>
+        this.plugin.log.error(`❌ Failed to write history: ${error.message}`)
       );
-      return;
-    }
+  }
 
-    // Track alert type for exit notification matching
-    debouncedCities.forEach((city) => {
-      this.lastAlertTypePerCity.set(city, {
-        alertType: alertData.threat,
-        timestamp: Date.now(),
-      });
-    });
+  /**
+   * Newest-first records matching all given filters.
+   */
+  query({ since, until, alertType, city, outcome, limit = 100 } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const untilTime = until ? new Date(until).getTime() : null;
+    const result = [];
+    for (let i = this.records.length - 1; i >= 0; i--) {
+      const record = this.records[i];
+      const time = new Date(record.timestamp).getTime();
+      if (sinceTime !== null && time < sinceTime) continue;
+      if (untilTime !== null && time > untilTime) continue;
+      if (alertType && record.alertType !== alertType) continue;
+      if (outcome && record.outcome !== outcome) continue;
+      if (city && !(record.cities || []).includes(city)) continue;
+      result.push(record);
+      if (result.length >= limit) break;
+    }
+    return result;
+  }
 
-    // Stop any lower priority alerts
-    if (this.isEarlyWarningActive) {
-      this.log.info("🟡 Stopping early warning for primary alert");
-      this.stopEarlyWarningPlayback();
+  async prune() {
+    const cutoff = new Date(Date.now() - this.retentionDays * 86400000)
+      .toISOString()
+      .slice(0, 10);
+    for (const file of await fs.readdir(this.dir)) {
+      const match = HISTORY_FILE_PATTERN.exec(file);
+      if (match && match[1] < cutoff) {
+        await fs.remove(path.join(this.dir, file));
+        this.plugin.log.debug(`🧹 Removed expired history file ${file}`);
+      }
     }
-    if (this.isExitNotificationActive) {
-      this.log.info("🟢 Stopping exit notification for primary alert");
-      this.stopExitNotificationPlayback();
+  }
+
+  async loadState() {
+    try {
+      if (!(await fs.pathExists(this.statePath))) return null;
+      return await fs.readJson(this.statePath);
+    } catch (error) {
+      this.plugin.log.warn(`⚠️ Could not read saved state: ${error.message}`);
+      return null;
     }
+  }
 
-    this.log.info(`🚨 PRIMARY ALERT TRIGGERED (${threatInfo.name})`);
-    this.log.info(`📍 Areas: ${debouncedCities.join(", ")}`);
-    this.log.info(
-      `⚠️ Threat Level: ${alertData.threat} (Priority: ${threatInfo.priority})`
-    );
-    this.log.info(
-      `⏰ Time: ${new Date().toLocaleString("en-US", {
-        timeZone: "Asia/Jerusalem",
-      })} (Israel time)`
-    );
+  saveState(state) {
+    const tmpPath = `${this.statePath}.tmp`;
+    this.writeQueue = this.writeQueue
+      .then(() => fs.writeJson(tmpPath, state))
+      .then(() => fs.move(tmpPath, this.statePath, { overwrite: true }))
+      .catch((error) =>
+        this.plugin.log.error(`❌ Failed to save state: ${error.message}`)
+      );
+    return this.writeQueue;
+  }
+}
 
-    // Trigger primary alert (PRIMARY ALERTS ARE NEVER TIME-RESTRICTED)
-    this.isAlertActive = true;
-    this.alertActiveCities = debouncedCities;
-    this.service.updateCharacteristic(
-      Characteristic.ContactSensorState,
-      Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+/**
+ * Spoken alert announcements through a pluggable local TTS engine: a command
+ * line (preset or custom) or a Node module exporting
+ * `async (text, { language, voice, file })`. Audio files are cached by text
+ * under red-alert-media/announcements, where the media server serves them.
+ */
+class AnnouncementGenerator {
+  constructor(plugin, options = {}) {
+    this.plugin = plugin;
+    this.engine = options.engine || "espeak-ng";
+    const preset = TTS_ENGINES[this.engine] || {};
+    this.enabled = options.enabled === true;
+    this.mode =
+      options.mode === ANNOUNCEMENT_MODES.INSTEAD
+        ? ANNOUNCEMENT_MODES.INSTEAD
+        : ANNOUNCEMENT_MODES.AFTER;
+    this.command = options.command || preset.command;
+    this.extension = options.extension || preset.extension || "wav";
+    this.voices = Object.assign({}, preset.voices, options.voices);
+    this.alertTypes = Array.isArray(options.alertTypes)
+      ? options.alertTypes
+      : Object.values(ALERT_TYPES);
+    this.timeoutMs = (options.timeoutSeconds || 15) * 1000;
+    this.maxFiles = options.maxFiles || 50;
+    this.dir = path.join(
+      plugin.api.user.storagePath(),
+      "red-alert-media",
+      "announcements"
     );
-
-    if (this.useChromecast) {
-      this.playChromecastMedia(ALERT_TYPES.PRIMARY);
-    }
-
-    // Auto-reset timer
-    setTimeout(() => {
-      if (this.isAlertActive) {
-        this.log.info("✅ Auto-resetting primary alert state");
-        this.isAlertActive = false;
-        this.alertActiveCities = [];
-        this.service.updateCharacteristic(
-          Characteristic.ContactSensorState,
-          Characteristic.ContactSensorState.CONTACT_DETECTED
+    this.pending = new Map(); // key: file name, value: Promise<route | null>
+    this.moduleEngine = null;
+
+    if (!this.enabled) return;
+    if (this.engine === "module") {
+      try {
+        this.moduleEngine = require(path.resolve(options.module || ""));
+      } catch (error) {
+        plugin.log.error(
+          `❌ Cannot load TTS module ${options.module}: ${error.message}`
         );
+        this.enabled = false;
       }
-    }, this.chromecastTimeout * 1000);
+    } else if (!this.command) {
+      plugin.log.error(
+        `❌ Unknown TTS engine "${this.engine}" - set announcements.command`
+      );
+      this.enabled = false;
+    }
   }
 
-  // Handle ALL system messages (early warnings + exit notifications)
-  handleSystemMessage(systemMessage) {
-    this.log.debug(`📋 Processing system message: ${systemMessage.titleHe}`);
+  appliesTo(alertType) {
+    return this.enabled && this.alertTypes.includes(alertType);
+  }
 
-    // Check if this is an early warning message
-    if (this.isEarlyWarningMessage(systemMessage)) {
-      this.handleEarlyWarning(systemMessage);
-      return;
+  getStatus() {
+    return {
+      enabled: this.enabled,
+      mode: this.mode,
+      engine: this.engine,
+      alertTypes: this.alertTypes,
+    };
+  }
+
+  /**
+   * Synthesize the text once. Resolves to its media route, or null on failure.
+   */
+  announce(text, language) {
+    const hash = crypto
+      .createHash("sha1")
+      .update(`${this.engine}:${language}:${text}`)
+      .digest("hex")
+      .slice(0, 16);
+    const name = `${hash}.${this.extension}`;
+    if (!this.pending.has(name)) {
+      this.pending.set(
+        name,
+        this.synthesize(text, language, name)
+          .then(() => `/announcements/${name}`)
+          .catch((error) => {
+            this.plugin.log.warn(
+              `⚠️ Announcement synthesis failed (${this.engine}): ${error.message}`
+            );
+            this.pending.delete(name);
+            return null;
+          })
+      );
     }
+    return this.pending.get(name);
+  }
 
-    // Check if this is an exit notification message
-    if (this.isExitNotificationMessage(systemMessage)) {
-      this.handleExitNotification(systemMessage);
-      return;
+  async synthesize(text, language, name) {
+    const file = path.join(this.dir, name);
+    if (await fs.pathExists(file)) return;
+    await fs.ensureDir(this.dir);
+
+    // Write under a temporary name so a half-written file is never served
+    const partial = path.join(this.dir, `.partial-${name}`);
+    const voice = this.voices[language] || language;
+    this.plugin.log.info(`🗣️ Synthesizing ${language} announcement: ${text}`);
+    if (this.moduleEngine) {
+      await this.withTimeout(
+        Promise.resolve(
+          this.moduleEngine(text, { language, voice, file: partial })
+        )
+      );
+    } else {
+      await this.runCommand({ text, language, voice, file: partial });
     }
+    await fs.move(partial, file, { overwrite: true });
+    this.prune();
+  }
 
-    this.log.debug(
-      "📋 System message is neither early warning nor exit notification - ignoring"
-    );
+  runCommand(values) {
+    // Placeholders fill whole arguments; no shell is involved
+    const [command, ...args] = this.command
+      .trim()
+      .split(/\s+/)
+      .map((part) =>
+        part.replace(/\{(text|file|voice|language)\}/g, (m, key) => values[key])
+      );
+    return new Promise((resolve, reject) => {
+      const child = execFile(
+        command,
+        args,
+        { timeout: this.timeoutMs },
+        (error, stdout, stderr) =>
+          error
+            ? reject(new Error(String(stderr).trim() || error.message))
+            : resolve()
+      );
+      if (!this.command.includes("{text}")) child.stdin.end(values.text);
+    });
   }
 
-  // Early warning validation
-  isEarlyWarningMessage(systemMessage) {
-    // Check title
-    const expectedTitles = ["מבזק פיקוד העורף"];
-    const hasValidTitle = expectedTitles.some((title) =>
-      systemMessage.titleHe?.includes(title)
-    );
+  withTimeout(promise) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`timed out after ${this.timeoutMs} ms`)),
+        this.timeoutMs
+      );
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
 
-    if (!hasValidTitle) {
-      this.log.debug(
-        "📋 System message title doesn't match early warning pattern"
+  /**
+   * Keep the most recent `maxFiles` announcements.
+   */
+  async prune() {
+    try {
+      const files = (await fs.readdir(this.dir)).filter(
+        (file) => !file.startsWith(".")
       );
-      return false;
+      if (files.length <= this.maxFiles) return;
+      const stats = await Promise.all(
+        files.map(async (file) => ({
+          file,
+          mtime: (await fs.stat(path.join(this.dir, file))).mtimeMs,
+        }))
+      );
+      stats.sort((a, b) => a.mtime - b.mtime);
+      for (const { file } of stats.slice(0, files.length - this.maxFiles)) {
+        await fs.remove(path.join(this.dir, file));
+        this.pending.delete(file);
+      }
+    } catch (error) {
+      this.plugin.log.debug(`🗣️ Announcement cleanup failed: ${error.message}`);
     }
+  }
+}
 
-    // Check content for early warning keywords
-    const bodyHe = systemMessage.bodyHe || "";
-    const hasValidContent = EARLY_WARNING_KEYWORDS.some((keyword) =>
-      bodyHe.includes(keyword)
-    );
-
-    this.log.debug(
-      `🔍 Early warning validation - Title: ${hasValidTitle}, Content: ${hasValidContent}`
-    );
-    return hasValidContent;
+/**
+ * Manually configured Chromecast (`chromecastDevices`): a chromecast-api device
+ * at a fixed address that also connects to a non-default port (cast groups,
+ * port forwarding).
+ */
+class StaticCastDevice extends ChromecastDevice {
+  constructor({ name, host, port = CAST_PORT, castGroup = false }) {
+    super({ name, friendlyName: name, host });
+    this.port = port;
+    this.castGroup = castGroup;
   }
 
-  // Exit notification validation
-  isExitNotificationMessage(systemMessage) {
-    // Check title
-    const expectedTitles = ["עדכון פיקוד העורף"];
-    const hasValidTitle = expectedTitles.some((title) =>
-      systemMessage.titleHe?.includes(title)
-    );
+  // chromecast-api's connect, with the configured port
+  _connect(callback) {
+    if (this.client) this.client.close();
+    this.client = new CastClient();
+    this.client.on("error", (err) => {
+      this.client.close();
+      callback(err);
+    });
+    this.client.connect({ host: this.host, port: this.port }, () => {
+      this.emit("connected");
+      callback(null);
+    });
+  }
+}
 
-    if (!hasValidTitle) {
-      this.log.debug(
-        "📋 System message title doesn't match exit notification pattern"
+/**
+ * Shabbat and Yom Tov periods from candle lighting (minutes before sunset the
+ * evening before) to havdalah, computed locally from the location of the
+ * configured or first monitored city. Consecutive holy days are one period.
+ */
+class ShabbatCalendar {
+  constructor(plugin, options = {}, timeZone) {
+    this.plugin = plugin;
+    this.log = plugin.log;
+    this.timeZone = timeZone;
+    this.enabled = options.enabled === true;
+    this.profile = options.profile || "Shabbat";
+    this.city = options.city || null;
+    this.candleLightingMinutes = Number.isFinite(options.candleLightingMinutes)
+      ? options.candleLightingMinutes
+      : 18;
+    // Default: nightfall, when the sun is 8.5° below the horizon
+    this.havdalahMinutes = Number.isFinite(options.havdalahMinutes)
+      ? options.havdalahMinutes
+      : null;
+    this.yomTov = options.yomTov !== false;
+    this.switch = options.switch === true;
+    this.location = null; // resolved once cities.json is loaded
+    this.period = null; // cached until it ends
+    this.warned = false;
+    if (this.enabled) {
+      this.log.info(
+        `🕯️ Shabbat${this.yomTov ? "/Yom Tov" : ""} mode: profile ${
+          this.profile
+        }, candle lighting ${this.candleLightingMinutes} min before sunset`
       );
-      return false;
     }
+  }
 
-    // Check content for exit notification keywords
-    const bodyHe = systemMessage.bodyHe || "";
-    const hasValidContent = EXIT_NOTIFICATION_KEYWORDS.some((keyword) =>
-      bodyHe.includes(keyword)
-    );
-
-    this.log.debug(
-      `🔍 Exit notification validation - Title: ${hasValidTitle}, Content: ${hasValidContent}`
+  getLocation() {
+    if (this.location || !this.plugin.citiesData) return this.location;
+    const candidates = this.city ? [this.city] : this.plugin.selectedCities;
+    const city = candidates.find((name) =>
+      Number.isFinite(this.plugin.citiesData[name]?.lat)
     );
-    return hasValidContent;
+    if (!city) {
+      if (!this.warned) {
+        this.log.warn(
+          `⚠️ Shabbat mode needs a city with coordinates${
+            this.city ? ` (${this.city} not found)` : ""
+          }`
+        );
+        this.warned = true;
+      }
+      return null;
+    }
+    const { lat, lng } = this.plugin.citiesData[city];
+    this.location = { city, lat, lng };
+    return this.location;
   }
 
-  // Early warning handler (from Tzofar SYSTEM_MESSAGE)
-  handleEarlyWarning(systemMessage) {
-    this.log.info(`🟡 Processing early warning: ${systemMessage.titleHe}`);
-
-    // Check if early warning alerts are enabled and within time window
-    if (!this.isAlertTypeActive(ALERT_TYPES.EARLY_WARNING)) {
-      this.log.info("⏸️ Early warning alerts disabled or outside time window");
-      return;
+  /**
+   * Shabbat or the Yom Tov name of a civil date, or null.
+   */
+  holyDay(ymd) {
+    if (this.yomTov) {
+      const parts = {};
+      HEBREW_DATE_FORMAT.formatToParts(new Date(`${ymd}T12:00:00Z`)).forEach(
+        ({ type, value }) => (parts[type] = value)
+      );
+      const yomTov = YOM_TOV[`${parts.month} ${parts.day}`];
+      if (yomTov) return yomTov;
     }
+    return new Date(`${ymd}T12:00:00Z`).getUTCDay() === 6 ? "Shabbat" : null;
+  }
 
-    // Use citiesIds for city matching
-    const citiesIds = systemMessage.citiesIds || [];
+  candleLighting(ymd) {
+    const { lat, lng } = this.location;
+    const sunset = sunsetTime(shiftDate(ymd, -1), lat, lng);
+    return sunset - this.candleLightingMinutes * 60000;
+  }
 
-    if (!Array.isArray(citiesIds) || citiesIds.length === 0) {
-      this.log.warn(
-        "⚠️ Early warning message missing citiesIds array - cannot match cities"
-      );
-      return;
+  havdalah(ymd) {
+    const { lat, lng } = this.location;
+    if (Number.isFinite(this.havdalahMinutes)) {
+      return sunsetTime(ymd, lat, lng) + this.havdalahMinutes * 60000;
     }
+    return sunsetTime(ymd, lat, lng, NIGHTFALL_ALTITUDE);
+  }
 
-    // Get affected cities (including nationwide check)
-    const affectedCities = this.getAffectedCities(citiesIds);
+  /**
+   * The period in effect at `date`, or the next one:
+   * `{ start, end, days: ["Shabbat", ...] }`.
+   */
+  getPeriod(date = new Date()) {
+    if (!this.getLocation()) return null;
+    const now = date.getTime();
+    if (this.period && this.period.computedAt <= now && now < this.period.end) {
+      return this.period;
+    }
 
-    if (affectedCities.length === 0) {
-      this.log.info(`🟡 Early warning found but none for monitored cities`);
-      return;
+    let first = zonedTime(date, this.timeZone).date;
+    while (!this.holyDay(first) || this.havdalah(first) <= now) {
+      first = shiftDate(first, 1);
     }
+    while (this.holyDay(shiftDate(first, -1))) first = shiftDate(first, -1);
+    const days = [];
+    let last = first;
+    for (let day = first; this.holyDay(day); day = shiftDate(day, 1)) {
+      days.push(this.holyDay(day));
+      last = day;
+    }
+    this.period = {
+      start: this.candleLighting(first),
+      end: this.havdalah(last),
+      days: [...new Set(days)],
+      computedAt: now,
+    };
+    return this.period;
+  }
 
-    // Apply debounce
-    const debouncedCities = affectedCities.filter((cityName) =>
-      this.canTriggerAlert(ALERT_TYPES.EARLY_WARNING, cityName)
-    );
+  isActive(date = new Date()) {
+    const period = this.getPeriod(date);
+    return Boolean(period && period.start <= date.getTime());
+  }
 
-    if (debouncedCities.length === 0) {
+  getStatus(date = new Date()) {
+    const period = this.enabled ? this.getPeriod(date) : null;
+    return {
+      enabled: this.enabled,
+      profile: this.profile,
+      city: this.location?.city ?? null,
+      active: Boolean(period && period.start <= date.getTime()),
+      candleLighting: period ? new Date(period.start).toISOString() : null,
+      havdalah: period ? new Date(period.end).toISOString() : null,
+      days: period ? period.days : [],
+    };
+  }
+}
+
+/**
+ * Named schedule profiles ("night", "shabbat", "away") evaluated in the
+ * configured timezone. A profile is active inside one of its weekly windows,
+ * during an exception that turns it on, or while forced (HomeKit switch or
+ * API). An exception can also turn it off, e.g. for a vacation week.
+ */
+class ScheduleProfiles {
+  constructor(plugin, profiles, timeZone) {
+    this.log = plugin.log;
+    this.timeZone = this.parseTimeZone(timeZone);
+    this.profiles = new Map(); // key: lowercase name
+    this.forced = new Set();
+    for (const profile of Array.isArray(profiles) ? profiles : []) {
+      const parsed = this.parseProfile(profile);
+      if (parsed) this.profiles.set(parsed.key, parsed);
+    }
+    if (this.profiles.size > 0) {
       this.log.info(
-        `🟡 Early warning found for ${affectedCities.join(
-          ", "
-        )} but all are in debounce period`
+        `🗓️ Schedule profiles: ${[...this.profiles.values()]
+          .map((profile) => profile.name)
+          .join(", ")} (${this.timeZone})`
       );
-      return;
     }
+  }
 
-    // Check if primary alert is active
-    if (this.isAlertActive) {
-      this.log.info(
-        `🟡 Early warning found but skipped (primary alert active)`
+  parseTimeZone(timeZone) {
+    if (!timeZone) return DEFAULT_TIMEZONE;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return timeZone;
+    } catch (error) {
+      this.log.warn(
+        `⚠️ Unknown timezone ${timeZone}, using ${DEFAULT_TIMEZONE}`
       );
-      return;
+      return DEFAULT_TIMEZONE;
     }
+  }
 
-    // Stop any existing early warning
-    if (this.isEarlyWarningActive) {
-      this.log.info("🟡 New early warning interrupting existing early warning");
-      this.stopEarlyWarningPlayback();
+  parseProfile(profile) {
+    if (!profile?.name) {
+      this.log.warn("⚠️ Ignoring schedule profile without a name");
+      return null;
+    }
+    const windows = [];
+    for (const window of Array.isArray(profile.windows)
+      ? profile.windows
+      : []) {
+      const start = parseClock(window.start);
+      const end = parseClock(window.end);
+      const days = Array.isArray(window.days)
+        ? window.days.map((day) => WEEKDAYS.indexOf(String(day).toLowerCase()))
+        : WEEKDAYS.map((day, index) => index);
+      if (start === null || end === null || days.includes(-1)) {
+        this.log.warn(
+          `⚠️ Profile ${profile.name}: ignoring window ${JSON.stringify(
+            window
+          )}`
+        );
+        continue;
+      }
+      windows.push({ days, start, end });
     }
 
-    this.log.info(
-      `🟡 EARLY WARNING TRIGGERED for areas: ${debouncedCities.join(", ")}`
-    );
-    this.triggerEarlyWarning(debouncedCities);
-  }
+    // Date-only bounds cover whole days; "YYYY-MM-DD HH:MM" bounds are exact
+    const bound = (value, endOfDay) => {
+      const text = String(value || "")
+        .trim()
+        .replace(" ", "T");
+      if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        return `${text}T${endOfDay ? "24:00" : "00:00"}`;
+      }
+      return /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(text) ? text : null;
+    };
+    const exceptions = [];
+    for (const exception of Array.isArray(profile.exceptions)
+      ? profile.exceptions
+      : []) {
+      const from = bound(exception.from, false);
+      const to = bound(exception.to || exception.from, true);
+      if (!from || !to) {
+        this.log.warn(
+          `⚠️ Profile ${profile.name}: ignoring exception ${JSON.stringify(
+            exception
+          )}`
+        );
+        continue;
+      }
+      exceptions.push({ from, to, active: exception.active !== false });
+    }
 
-  // Exit notification handler (from Tzofar SYSTEM_MESSAGE)
-  handleExitNotification(systemMessage) {
-    this.log.info(`🟢 Processing exit notification: ${systemMessage.titleHe}`);
+    return {
+      key: profile.name.toLowerCase(),
+      name: profile.name,
+      windows,
+      exceptions,
+      switch: profile.switch === true,
+    };
+  }
 
-    // Check if exit notifications are enabled and within time window
-    if (!this.isAlertTypeActive(ALERT_TYPES.EXIT_NOTIFICATION)) {
-      this.log.info("⏸️ Exit notifications disabled or outside time window");
-      return;
+  /**
+   * Add computed times (e.g. Shabbat) to a profile, creating it if needed.
+   * A configured profile of the same name keeps its windows and exceptions.
+   */
+  addComputed(name, isActive, { switch: withSwitch = false } = {}) {
+    const key = name.toLowerCase();
+    if (!this.profiles.has(key)) {
+      this.profiles.set(key, {
+        key,
+        name,
+        windows: [],
+        exceptions: [],
+        switch: withSwitch,
+      });
     }
+    this.profiles.get(key).computed = isActive;
+  }
 
-    // Use citiesIds for city matching
-    const citiesIds = systemMessage.citiesIds || [];
+  has(name) {
+    return this.profiles.has(String(name).toLowerCase());
+  }
 
-    if (!Array.isArray(citiesIds) || citiesIds.length === 0) {
-      this.log.warn(
-        "⚠️ Exit notification message missing citiesIds array - cannot match cities"
-      );
-      return;
-    }
+  isForced(name) {
+    return this.forced.has(String(name).toLowerCase());
+  }
 
-    // Get affected cities (including nationwide check)
-    const affectedCities = this.getAffectedCities(citiesIds);
+  setForced(name, on) {
+    const key = String(name).toLowerCase();
+    if (!this.profiles.has(key)) return false;
+    if (on) this.forced.add(key);
+    else this.forced.delete(key);
+    return true;
+  }
 
-    if (affectedCities.length === 0) {
-      this.log.info(`🟢 Exit notification found but none for monitored cities`);
-      return;
-    }
+  isActive(name, date = new Date()) {
+    const profile = this.profiles.get(String(name).toLowerCase());
+    if (!profile) return false;
+    if (this.forced.has(profile.key)) return true;
 
-    // Apply debounce
-    const debouncedCities = affectedCities.filter((cityName) =>
-      this.canTriggerAlert(ALERT_TYPES.EXIT_NOTIFICATION, cityName)
+    const now = zonedTime(date, this.timeZone);
+    const exception = profile.exceptions.find(
+      ({ from, to }) => now.stamp >= from && now.stamp < to
+    );
+    if (exception) return exception.active;
+    if (profile.computed?.(date)) return true;
+
+    const yesterday = (now.day + 6) % 7;
+    return profile.windows.some(({ days, start, end }) =>
+      start <= end
+        ? days.includes(now.day) && now.minutes >= start && now.minutes < end
+        : (days.includes(now.day) && now.minutes >= start) ||
+          (days.includes(yesterday) && now.minutes < end)
     );
+  }
 
-    if (debouncedCities.length === 0) {
-      this.log.info(
-        `🟢 Exit notification found for ${affectedCities.join(
-          ", "
-        )} but all are in debounce period`
-      );
+  /**
+   * The first of `names` that is active right now, or null.
+   */
+  firstActive(names, date = new Date()) {
+    if (!Array.isArray(names)) return null;
+    const active = names.find((name) => this.isActive(name, date));
+    return active ? this.profiles.get(active.toLowerCase()).name : null;
+  }
+
+  getStatus(date = new Date()) {
+    return [...this.profiles.values()].map((profile) => ({
+      name: profile.name,
+      active: this.isActive(profile.key, date),
+      forced: this.forced.has(profile.key),
+      switch: profile.switch,
+    }));
+  }
+}
+
+/**
+ * Alert playback session per Chromecast. The first alert on a device records
+ * the receiver's volume, mute state and app; later alerts take the session
+ * over. When the media finishes, runs too long, is silenced or its alert is
+ * superseded, the session ends: the media stops and the device is put back.
+ */
+class CastSessionTracker {
+  constructor(plugin, options = {}) {
+    this.plugin = plugin;
+    this.log = plugin.log;
+    this.restoreVolume = options.restoreVolume !== false;
+    this.restoreApp = options.restoreApp !== false;
+    this.maxDurationMs = (options.maxDurationSeconds || 180) * 1000;
+    this.sessions = new Map(); // key: deviceKey()
+    this.nextPlayId = 1;
+  }
+
+  /**
+   * Start a playback on the device, then call `callback(playId)`. A new
+   * session reads the receiver status first; a superseded start never plays.
+   */
+  begin(device, alertType, mediaUrl, callback) {
+    const playId = this.nextPlayId++;
+    let session = this.sessions.get(deviceKey(device));
+    const isNew = !session;
+    if (isNew) {
+      session = { device, previous: null, holds: 0, startedAt: Date.now() };
+      this.sessions.set(deviceKey(device), session);
+    } else {
+      this.disarm(session);
+      if (session.alertType !== alertType) {
+        this.log.info(
+          `⏭️ ${alertType} replaces ${session.alertType} on ${device.friendlyName}`
+        );
+      }
+    }
+    Object.assign(session, {
+      playId,
+      alertType,
+      mediaUrl,
+      state: "starting",
+      idle: null,
+    });
+
+    if (!isNew || typeof device.getReceiverStatus !== "function") {
+      callback(playId);
       return;
     }
+    this.captureReceiver(session, () => {
+      if (this.isCurrent(device, playId)) callback(playId);
+    });
+  }
+
+  captureReceiver(session, callback) {
+    const { device } = session;
+    let timer = null;
+    const done = (previous) => {
+      if (!timer) return;
+      clearTimeout(timer);
+      timer = null;
+      session.previous = previous;
+      callback();
+    };
+    timer = setTimeout(() => {
+      this.log.debug(
+        `📺 No receiver status from ${device.friendlyName}, nothing to restore`
+      );
+      done(null);
+    }, RECEIVER_STATUS_TIMEOUT_MS);
+    try {
+      device.getReceiverStatus((err, status) => {
+        if (err) {
+          this.log.debug(
+            `📺 Could not read receiver status of ${device.friendlyName}: ${err.message}`
+          );
+        }
+        done(err ? null : this.describeReceiver(status));
+      });
+    } catch (error) {
+      this.log.debug(
+        `📺 Could not read receiver status of ${device.friendlyName}: ${error.message}`
+      );
+      done(null);
+    }
+  }
+
+  describeReceiver(status) {
+    const app = (status?.applications || [])[0];
+    return {
+      volume: status?.volume?.level,
+      muted: status?.volume?.muted === true,
+      app: app
+        ? {
+            appId: app.appId,
+            name: app.displayName,
+            idleScreen:
+              app.isIdleScreen === true || app.appId === CAST_APPS.BACKDROP,
+          }
+        : null,
+    };
+  }
+
+  isCurrent(device, playId) {
+    return this.sessions.get(deviceKey(device))?.playId === playId;
+  }
+
+  /**
+   * The media of `playId` is playing: unmute if needed and watch for its end.
+   */
+  started(device, playId) {
+    if (!this.isCurrent(device, playId)) return;
+    const session = this.sessions.get(deviceKey(device));
+    session.state = "playing";
+
+    if (session.previous?.muted && !session.unmuted) {
+      session.unmuted = true;
+      this.call(device, "setVolumeMuted", false);
+    }
+    session.onFinished = () => this.idle(session, "finished");
+    if (typeof device.once === "function") {
+      device.once("finished", session.onFinished);
+    }
+    session.timer = setTimeout(
+      () => this.idle(session, "timeout"),
+      this.maxDurationMs
+    );
+  }
+
+  /**
+   * Keep the session open past the end of the current media (e.g. for a
+   * queued announcement). Returns the release function.
+   */
+  hold(device) {
+    const session = this.sessions.get(deviceKey(device));
+    if (!session) return () => {};
+    session.holds++;
+    let released = false;
+    return () => {
+      if (released) return;
+      released = true;
+      session.holds--;
+      if (session.holds === 0 && session.idle) this.idle(session, session.idle);
+    };
+  }
+
+  idle(session, reason) {
+    if (this.sessions.get(deviceKey(session.device)) !== session) return;
+    if (session.holds > 0) {
+      session.idle = reason;
+      return;
+    }
+    this.end(session.device, reason);
+  }
+
+  /**
+   * End the sessions of an alert type unless a newer alert takes them over in
+   * the same turn (its media then simply replaces the old one).
+   */
+  supersede(alertType) {
+    const superseded = [...this.sessions.values()]
+      .filter((session) => session.alertType === alertType)
+      .map((session) => [session.device, session.playId]);
+    setImmediate(() =>
+      superseded.forEach(([device, playId]) =>
+        this.end(device, "superseded", playId)
+      )
+    );
+  }
+
+  /**
+   * End the device's session (only that play, if `playId` is given): stop the
+   * media unless it finished or failed, then restore the device.
+   */
+  end(device, reason = "stopped", playId = null) {
+    const session = this.sessions.get(deviceKey(device));
+    if (!session || (playId && session.playId !== playId)) return false;
+    this.sessions.delete(deviceKey(device));
+    this.disarm(session);
+    this.log.info(
+      `⏹️ ${session.alertType} playback on ${device.friendlyName} ended (${reason})`
+    );
+
+    const stop =
+      reason === "finished" || reason === "failed"
+        ? Promise.resolve()
+        : this.call(device, "stop");
+    stop.then(() => this.restore(session));
+    return true;
+  }
+
+  async restore(session) {
+    const { device, previous } = session;
+    if (!previous) return;
+    if (this.restoreVolume && Number.isFinite(previous.volume)) {
+      if (await this.call(device, "setVolume", previous.volume)) {
+        this.log.info(
+          `🔊 Restored volume ${Math.round(previous.volume * 100)}% on ${
+            device.friendlyName
+          }`
+        );
+      }
+      if (previous.muted) await this.call(device, "setVolumeMuted", true);
+    }
+    if (this.restoreApp) await this.relaunchApp(device, previous.app);
+  }
+
+  /**
+   * Relaunch the app the device showed before, when it is not the idle screen
+   * or cast media (which cannot be resumed); otherwise close the alert player.
+   */
+  async relaunchApp(device, app) {
+    if (
+      app &&
+      !app.idleScreen &&
+      app.appId !== CAST_APPS.DEFAULT_MEDIA_RECEIVER
+    ) {
+      const receiver = device.client?.receiver;
+      if (
+        typeof receiver?.launch === "function" &&
+        (await this.call(receiver, "launch", app.appId))
+      ) {
+        this.log.info(`📺 Relaunched ${app.name} on ${device.friendlyName}`);
+        return;
+      }
+      this.log.debug(
+        `📺 Cannot relaunch ${app.name} on ${device.friendlyName}`
+      );
+    }
+    if (typeof device.close === "function") {
+      device.close();
+      this.log.debug(`📺 Closed the alert player on ${device.friendlyName}`);
+    }
+  }
+
+  /**
+   * Call a callback-style device method; resolves to whether it succeeded.
+   */
+  call(target, method, ...args) {
+    const name = target.friendlyName || "receiver";
+    return new Promise((resolve) => {
+      if (typeof target[method] !== "function") {
+        resolve(false);
+        return;
+      }
+      const done = (err) => {
+        if (err) {
+          this.log.debug(`📺 ${method} failed on ${name}: ${err.message}`);
+        }
+        resolve(!err);
+      };
+      try {
+        target[method](...args, done);
+      } catch (error) {
+        done(error);
+      }
+    });
+  }
+
+  disarm(session) {
+    clearTimeout(session.timer);
+    session.timer = null;
+    if (
+      session.onFinished &&
+      typeof session.device.removeListener === "function"
+    ) {
+      session.device.removeListener("finished", session.onFinished);
+    }
+    session.onFinished = null;
+  }
+
+  getStatus(device) {
+    const session = this.sessions.get(deviceKey(device));
+    if (!session) return null;
+    return {
+      alertType: session.alertType,
+      state: session.state,
+      mediaUrl: session.mediaUrl,
+      startedAt: new Date(session.startedAt).toISOString(),
+      previousVolume: session.previous?.volume ?? null,
+      previousApp: session.previous?.app?.name ?? null,
+    };
+  }
+
+  /**
+   * Forget every session without touching the devices (shutdown).
+   */
+  clear() {
+    this.sessions.forEach((session) => this.disarm(session));
+    this.sessions.clear();
+  }
+}
+
+/**
+ * Push feed of normalized events for local consumers, over Server-Sent Events
+ * (`/api/events`) and WebSocket (`/api/ws`). Keeps a short buffer so SSE
+ * clients can resume with Last-Event-ID.
+ */
+class AlertEventFeed {
+  constructor(plugin, { bufferSize = 100, heartbeatInterval = 30000 } = {}) {
+    this.plugin = plugin;
+    this.bufferSize = bufferSize;
+    this.heartbeatInterval = heartbeatInterval;
+    this.sequence = 0;
+    this.recent = [];
+    this.sseClients = new Set();
+    this.wss = new WebSocket.Server({ noServer: true });
+    this.heartbeatTimer = null;
+  }
+
+  start() {
+    this.heartbeatTimer = setInterval(() => {
+      for (const client of this.sseClients) {
+        client.res.write(": ping\n\n");
+        if (typeof client.res.flush === "function") client.res.flush();
+      }
+      for (const ws of this.wss.clients) {
+        if (ws.isAlive === false) {
+          ws.terminate();
+          continue;
+        }
+        ws.isAlive = false;
+        ws.ping();
+      }
+    }, this.heartbeatInterval);
+  }
+
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+    for (const client of this.sseClients) client.res.end();
+    this.sseClients.clear();
+    for (const ws of this.wss.clients) ws.close(1001, "Shutting down");
+  }
+
+  get clientCount() {
+    return this.sseClients.size + this.wss.clients.size;
+  }
+
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.sequence,
+      type,
+      timestamp: new Date().toISOString(),
+      ...data,
+    };
+    this.recent.push(event);
+    if (this.recent.length > this.bufferSize) this.recent.shift();
+
+    for (const client of this.sseClients) this.sendSse(client, event);
+    const payload = JSON.stringify(event);
+    for (const ws of this.wss.clients) {
+      if (ws.readyState === WebSocket.OPEN && this.accepts(ws.types, type)) {
+        ws.send(payload);
+      }
+    }
+    return event;
+  }
+
+  accepts(types, type) {
+    return !types || types.includes(type);
+  }
+
+  sendSse(client, event) {
+    if (!this.accepts(client.types, event.type)) return;
+    client.res.write(
+      `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(
+        event
+      )}\n\n`
+    );
+    // compression() buffers the response unless flushed
+    if (typeof client.res.flush === "function") client.res.flush();
+  }
+
+  addSseClient(req, res, types) {
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Connection", "keep-alive");
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+
+    const client = { res, types };
+    this.sseClients.add(client);
+    res.write("retry: 5000\n\n");
+
+    // Resume after a reconnect, or start with a hello carrying the current state
+    const lastEventId = Number(req.get("last-event-id"));
+    if (Number.isFinite(lastEventId) && lastEventId > 0) {
+      this.recent
+        .filter((event) => event.id > lastEventId)
+        .forEach((event) => this.sendSse(client, event));
+    } else {
+      res.write(
+        `event: hello\ndata: ${JSON.stringify(this.helloMessage())}\n\n`
+      );
+      if (typeof res.flush === "function") res.flush();
+    }
+
+    req.on("close", () => this.sseClients.delete(client));
+  }
+
+  handleUpgrade(req, socket, head, types) {
+    this.wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.types = types;
+      ws.isAlive = true;
+      ws.on("pong", () => (ws.isAlive = true));
+      ws.on("error", (error) =>
+        this.plugin.log.debug(`📣 Feed client error: ${error.message}`)
+      );
+      ws.send(JSON.stringify(this.helloMessage()));
+    });
+  }
+
+  helloMessage() {
+    return {
+      type: "hello",
+      timestamp: new Date().toISOString(),
+      lastEventId: this.sequence,
+      status: this.plugin.getStatus(),
+    };
+  }
+}
+
+class RedAlertPlugin {
+  constructor(log, config, api, platform = null) {
+    this.log = log;
+    this.api = api;
+    this.config = config || {};
+    this.platform = platform;
+
+    // --- Media file paths
+    for (const key in DEFAULT_MEDIA_PATHS) {
+      this[key] = config[key] || DEFAULT_MEDIA_PATHS[key];
+    }
+
+    // --- General settings
+    this.name = config.name || "Red Alert";
+    this.selectedCities = Array.isArray(config.cities)
+      ? [...config.cities]
+      : [];
+    this.selectedAreas = Array.isArray(config.areas) ? config.areas : [];
+    this.locations = this.parseLocations(config);
+    this.proximityAreas = this.parseProximityConfig(config);
+    for (const location of this.locations) {
+      for (const city of location.cities) {
+        if (!this.selectedCities.includes(city)) this.selectedCities.push(city);
+      }
+    }
+    this.language = this.parseLanguage(config.language, "config");
+    this.languageMedia = this.parseLanguageMedia(config.languageMedia);
+    this.useChromecast = config.useChromecast !== false;
+    this.chromecastVolume = Number.isFinite(config.chromecastVolume)
+      ? config.chromecastVolume
+      : 50;
+    this.chromecastTimeout = Number.isFinite(config.chromecastTimeout)
+      ? config.chromecastTimeout
+      : 30;
+    this.staticDevices = this.parseStaticDevices(config.chromecastDevices);
+    this.discoveryConfig = Object.assign(
+      {},
+      DEFAULT_DISCOVERY_CONFIG,
+      config.chromecastDiscovery || {}
+    );
+    this.serverPort = Number.isFinite(config.serverPort)
+      ? config.serverPort
+      : 8095;
+
+    // --- Media/API server access control
+    this.serverConfig = Object.assign(
+      {},
+      DEFAULT_SERVER_CONFIG,
+      config.server || {}
+    );
+    this.serverConfig.allowedIps = Array.isArray(this.serverConfig.allowedIps)
+      ? this.serverConfig.allowedIps.filter((rule) => String(rule).trim())
+      : [];
+    // Signed media URLs are short-lived, so a per-process secret is enough without a token
+    this.mediaUrlSecret =
+      this.serverConfig.apiToken || crypto.randomBytes(32).toString("hex");
+
+    const bindAddress = this.serverConfig.bindAddress;
+    const advertisedHost =
+      bindAddress &&
+      bindAddress !== "0.0.0.0" &&
+      bindAddress !== "::" &&
+      !LOOPBACK_ADDRESSES.includes(bindAddress)
+        ? bindAddress
+        : this.getIpAddress();
+    this.baseUrl =
+      config.baseUrl || `http://${advertisedHost}:${this.serverPort}`;
+
+    // --- Tzofar WebSocket configuration
+    this.tzofar = {
+      enabled: config.tzofar?.enabled !== false,
+      wsUrl:
+        config.tzofar?.wsUrl ||
+        "wss://ws.tzevaadom.co.il/socket?platform=ANDROID",
+      reconnectInterval: config.tzofar?.reconnectInterval || 10000,
+      maxReconnectInterval: config.tzofar?.maxReconnectInterval || 60000,
+      maxReconnectAttempts: config.tzofar?.maxReconnectAttempts || 10,
+      pingInterval: config.tzofar?.pingInterval || 60000,
+      pongTimeout: config.tzofar?.pongTimeout || 420000,
+    };
+
+    // --- Additional alert sources (Tzofar is configured above)
+    const sources = config.sources || {};
+    this.sourcesConfig = {
+      oref: Object.assign(
+        { enabled: false, url: DEFAULT_OREF_URL, pollInterval: 2000 },
+        sources.oref || {}
+      ),
+      custom: Array.isArray(sources.custom)
+        ? sources.custom.filter((feed) => feed?.url && feed.enabled !== false)
+        : [],
+      dedupeWindowSeconds: Number.isFinite(sources.dedupeWindowSeconds)
+        ? sources.dedupeWindowSeconds
+        : 180,
+    };
+    this.sources = [];
+    this.sourceDedupe = new Map(); // key: "kind:threat:city", value: { source, timestamp }
+
+    // --- Feed health (healthy while at least one source is connected and active)
+    this.healthConfig = Object.assign(
+      { sensor: true, staleSeconds: 300, checkIntervalSeconds: 15 },
+      config.health || {}
+    );
+    this.feedHealthy = true;
+    this.feedHealthTimer = null;
+    this.feedStats = {
+      healthySince: Date.now(),
+      outages: 0,
+      totalOutageMs: 0,
+      longestOutageMs: 0,
+      lastOutageStartedAt: null,
+      lastOutageEndedAt: null,
+    };
+
+    // --- Cities data management
+    this.citiesJsonPath =
+      config.citiesJsonPath || path.join(__dirname, "cities.json");
+    this.citiesData = null;
+    this.areasData = {};
+    this.cityNameToId = new Map();
+
+    // --- Debounce and tracking systems
+    this.alertDebounce = new Map(); // key: "alertType_cityName", value: { at, priority }
+    this.debounceConfig = this.parseDebounceConfig(config.debounce);
+    this.incidents = new Map(); // key: "alertType", value: latest incident
+    this.shelterSessions = new Map(); // key: "cityName", value: shelter session
+
+    // --- Per-alert-type config (enable, time, volume)
+    this.alertsConfig = this.parseAlertsConfig(config);
+
+    // --- Per-threat config (enable, volume, media file, sensor)
+    this.threatsConfig = this.parseThreatsConfig(config);
+
+    // --- Test switches and scenarios (run the real trigger paths)
+    this.testScenarios = this.parseTestScenarios(config);
+    this.runningScenarios = new Map(); // key: scenario id, value: step timers
+
+    // --- Per-device, per-alert volume
+    this.chromecastVolumes = Array.isArray(config.chromecastVolumes)
+      ? config.chromecastVolumes
+      : [];
+    this.deviceOverrides = this.parseDeviceOverrides(this.chromecastVolumes);
+    this.routing = this.parseRouting(config);
+    this.schedules = new ScheduleProfiles(
+      this,
+      config.scheduleProfiles,
+      config.timezone
+    );
+    this.shabbat = new ShabbatCalendar(
+      this,
+      config.shabbat,
+      this.schedules.timeZone
+    );
+    if (this.shabbat.enabled) {
+      this.schedules.addComputed(
+        this.shabbat.profile,
+        (date) => this.shabbat.isActive(date),
+        { switch: this.shabbat.switch }
+      );
+    }
+    const profileRefs = [
+      ...Object.entries(this.alertsConfig).map(([type, cfg]) => [
+        type,
+        cfg.quietProfiles,
+      ]),
+      ...Object.entries(this.deviceOverrides).map(([device, override]) => [
+        device,
+        override.quietProfiles,
+      ]),
+      ...this.routing.rules.map((rule) => [
+        `routing ${rule.name}`,
+        rule.profiles,
+      ]),
+    ];
+    for (const [owner, names] of profileRefs) {
+      for (const name of names || []) {
+        if (!this.schedules.has(name)) {
+          this.log.warn(`⚠️ Unknown schedule profile in ${owner}: ${name}`);
+        }
+      }
+    }
+
+    // --- Shelter instructions
+    const DEFAULT_SHELTER = {
+      devices: [],
+      primaryFile: "ballistic_closure.mp4",
+      earlyWarningFile: "ballistic_windows_closed.mp4",
+      exitFile: "exit.mp4",
+      minIntervalMinutes: 20,
+    };
+    this.shelterInstructions = Object.assign(
+      {},
+      DEFAULT_SHELTER,
+      config.shelterInstructions || {}
+    );
+    this.shelterInstructionsLastPlayed = {}; // { deviceName: { alertType: timestamp } }
+
+    // --- Shelter countdown timer (time to reach the protected space)
+    this.shelterTimerConfig = Object.assign(
+      { enabled: false, expiredResetSeconds: 30 },
+      config.shelterTimer || {}
+    );
+    this.shelterTimer = null; // { seconds, startedAt, endsAt, city, cities }
+    this.shelterTimerTimeout = null;
+    this.shelterTimeExpired = false;
+
+    // --- Shelter sessions (primary alert until exit notification)
+    this.shelterSessionConfig = Object.assign(
+      { maxDurationMinutes: 30, sensor: true },
+      config.shelterSession || {}
+    );
+
+    // --- Alert history and persisted state
+    this.historyConfig = Object.assign(
+      { enabled: true, retentionDays: 30, maxRecords: 5000, includeRaw: true },
+      config.history || {}
+    );
+    this.history = null;
+    this.stateSaveTimer = null;
+
+    // --- Replay/simulation (records kept in memory, never in real history)
+    this.replayer = new AlertReplayer(this);
+    this.simulatedHistory = [];
+
+    // --- Push feed for local consumers
+    this.eventFeed = new AlertEventFeed(this);
+
+    // --- Spoken announcements (after or instead of the alert media)
+    this.announcer = new AnnouncementGenerator(this, config.announcements);
+
+    // --- Playback session per Chromecast (stop and restore)
+    this.castSessions = new CastSessionTracker(this, config.playback);
+
+    // --- State for HomeKit
+    this.isAlertActive = false;
+    this.isEarlyWarningActive = false;
+    this.isExitNotificationActive = false;
+    this.alertActiveCities = [];
+    this.alertActiveThreat = null; // most severe of activeThreats
+    this.activeThreats = new Map(); // key: threat key, value: threat info
+    this.primaryResetTimer = null;
+    this.earlyWarningActiveCities = [];
+    this.exitNotificationActiveCities = [];
+    this.tzofarClient = null;
+    this.devices = [];
+    this.deviceRegistry = new Map(); // key: deviceKey(), value: { device, source, reachable, lastSeen, missed }
+
+    // --- HomeKit services (the platform attaches them to cached accessories instead)
+    this.threatServices = {}; // { threatKey: ContactSensor }
+    this.threatLevelSensor = config.threatLevelSensor === true;
+    if (!this.platform) {
+      const createService = (type, displayName, subtype) =>
+        new type(displayName, subtype);
+      this.createServices(createService);
+      this.locations.forEach((location) =>
+        this.createLocationServices(location, createService)
+      );
+    }
+
+    // --- Startup logic
+    if (this.api) {
+      this.api.on("didFinishLaunching", async () => {
+        this.log.info("🚀 Initializing Red Alert plugin with Tzofar...");
+
+        // Load cities data for Tzofar mode
+        const citiesLoaded = await this.loadCitiesData();
+        if (!citiesLoaded) {
+          this.log.error("❌ Cannot start without cities data");
+          return;
+        }
+        this.resolveProximityCities();
+        this.resolveAreaCities();
+        await this.setupHistory();
+
+        this.setupMediaServer();
+        this.copyDefaultMediaFiles();
+        if (this.useChromecast) this.setupChromecastDiscovery();
+
+        this.setupAlertSources();
+        this.setupFeedHealthMonitor();
+        this.setupCleanupTimer();
+
+        this.log.info("✅ Red Alert plugin initialization complete");
+      });
+      this.api.on("shutdown", () => this.cleanup());
+    }
+  }
+
+  // Cities data management
+  async loadCitiesData() {
+    try {
+      this.log.info("📍 Loading cities data...");
+
+      if (!fs.existsSync(this.citiesJsonPath)) {
+        this.log.error(`❌ Cities file not found: ${this.citiesJsonPath}`);
+        return false;
+      }
+
+      const citiesRaw = await fs.readFile(this.citiesJsonPath, "utf8");
+      const citiesData = JSON.parse(citiesRaw);
+
+      if (!citiesData.cities) {
+        this.log.error(
+          "❌ Invalid cities data format - missing 'cities' property"
+        );
+        return false;
+      }
+
+      this.citiesData = citiesData.cities;
+      this.areasData = citiesData.areas || {};
+
+      // Create reverse lookup map: city name -> city ID
+      this.cityNameToId.clear();
+      for (const [cityName, cityInfo] of Object.entries(this.citiesData)) {
+        this.cityNameToId.set(cityName, cityInfo.id);
+      }
+
+      this.log.info(`✅ Loaded ${Object.keys(this.citiesData).length} cities`);
+
+      // Validate configured cities
+      const invalidCities = this.selectedCities.filter(
+        (city) => !this.cityNameToId.has(city)
+      );
+      if (invalidCities.length > 0) {
+        this.log.warn(
+          `⚠️ Invalid cities in config: ${invalidCities.join(", ")}`
+        );
+      } else {
+        this.log.info(
+          `✅ All configured cities found: ${this.selectedCities.join(", ")}`
+        );
+      }
+
+      return true;
+    } catch (error) {
+      this.log.error(`❌ Error loading cities data: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Parse proximity monitoring config: a home circle and/or named circles.
+   * Named circles also become locations with their own sensors.
+   */
+  parseProximityConfig(config) {
+    const proximity = config.proximity;
+    if (!proximity || proximity.enabled === false) return [];
+
+    const areas = [];
+    const addArea = (area, name, isLocation) => {
+      const radiusKm = Number(area.radiusKm);
+      const hasCoordinates =
+        Number.isFinite(area.lat) && Number.isFinite(area.lng);
+      if (!(radiusKm > 0) || (!hasCoordinates && !area.city)) {
+        this.log.warn(
+          `⚠️ Ignoring proximity area "${name}" - needs radiusKm and lat/lng or city`
+        );
+        return;
+      }
+      let location = null;
+      if (isLocation) {
+        location = this.locations.find((l) => l.name === name);
+        if (!location) {
+          location = { name, cities: [], active: {}, services: {} };
+          this.locations.push(location);
+        }
+      }
+      areas.push({
+        name,
+        lat: area.lat,
+        lng: area.lng,
+        city: area.city,
+        radiusKm,
+        location,
+      });
+    };
+
+    if (proximity.radiusKm !== undefined) {
+      addArea(proximity, proximity.name || "Home", false);
+    }
+    (Array.isArray(proximity.locations) ? proximity.locations : []).forEach(
+      (area) => {
+        if (!area.name) {
+          this.log.warn("⚠️ Ignoring proximity location without a name");
+          return;
+        }
+        addArea(area, area.name, true);
+      }
+    );
+    return areas;
+  }
+
+  /**
+   * Add every city inside a proximity circle to the monitored cities.
+   * Needs cities data, so runs after loadCitiesData.
+   */
+  resolveProximityCities() {
+    for (const area of this.proximityAreas) {
+      if (area.city) {
+        const center = this.citiesData[area.city];
+        if (!center || !Number.isFinite(center.lat)) {
+          this.log.warn(
+            `⚠️ Proximity area "${area.name}": city "${area.city}" has no coordinates`
+          );
+          continue;
+        }
+        area.lat = center.lat;
+        area.lng = center.lng;
+      }
+
+      const cities = Object.entries(this.citiesData)
+        .filter(
+          ([, info]) =>
+            Number.isFinite(info.lat) &&
+            Number.isFinite(info.lng) &&
+            distanceKm(area.lat, area.lng, info.lat, info.lng) <= area.radiusKm
+        )
+        .map(([cityName]) => cityName);
+
+      cities.forEach((city) => {
+        if (!this.selectedCities.includes(city)) this.selectedCities.push(city);
+        if (area.location && !area.location.cities.includes(city)) {
+          area.location.cities.push(city);
+        }
+      });
+
+      this.log.info(
+        `📏 Proximity area "${area.name}" (${area.radiusKm} km around ${area.lat}, ${area.lng}): ${cities.length} cities monitored`
+      );
+      this.log.debug(`📏 ${area.name} cities: ${cities.join(", ")}`);
+    }
+  }
+
+  /**
+   * Log distance and bearing of alerted cities from each proximity area.
+   */
+  logProximity(cityNames) {
+    if (this.proximityAreas.length === 0 || !this.citiesData) return;
+    for (const cityName of cityNames) {
+      const info = this.citiesData[cityName];
+      if (!info || !Number.isFinite(info.lat) || !Number.isFinite(info.lng)) {
+        continue;
+      }
+      for (const area of this.proximityAreas) {
+        if (!Number.isFinite(area.lat) || !Number.isFinite(area.lng)) continue;
+        const distance = distanceKm(area.lat, area.lng, info.lat, info.lng);
+        const bearing = bearingDegrees(area.lat, area.lng, info.lat, info.lng);
+        this.log.info(
+          `📏 ${cityName}: ${distance.toFixed(1)} km ${compassDirection(
+            bearing
+          )} (${Math.round(bearing)}°) of ${area.name}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Find an area ID by numeric ID or by its name in any language from cities.json.
+   */
+  resolveAreaId(area) {
+    const key = String(area).trim();
+    if (this.areasData[key]) return Number(key);
+
+    const needle = key.toLowerCase();
+    for (const [areaId, labels] of Object.entries(this.areasData)) {
+      if (
+        Object.values(labels).some(
+          (label) => String(label).trim().toLowerCase() === needle
+        )
+      ) {
+        return Number(areaId);
+      }
+    }
+    return null;
+  }
+
+  getAreaLabel(areaId, language = "en") {
+    const labels = this.areasData[areaId];
+    if (!labels) return `Area ${areaId}`;
+    return labels[language] || labels.en || labels.he;
+  }
+
+  /**
+   * Add every city of the subscribed Home Front Command areas to the monitored
+   * cities (and to locations defined by area). Needs cities data.
+   */
+  resolveAreaCities() {
+    const citiesInArea = (area, owner) => {
+      const areaId = this.resolveAreaId(area);
+      if (areaId === null) {
+        this.log.warn(`⚠️ Unknown area in ${owner}: ${area}`);
+        return [];
+      }
+      const cities = Object.entries(this.citiesData)
+        .filter(([, info]) => info.area === areaId)
+        .map(([cityName]) => cityName);
+      this.log.info(
+        `🗺️ Area ${this.getAreaLabel(areaId)} (${areaId}) for ${owner}: ${
+          cities.length
+        } cities monitored`
+      );
+      return cities;
+    };
+    const addCity = (list, city) => {
+      if (!list.includes(city)) list.push(city);
+    };
+
+    for (const area of this.selectedAreas) {
+      citiesInArea(area, "config").forEach((city) =>
+        addCity(this.selectedCities, city)
+      );
+    }
+    for (const location of this.locations) {
+      for (const area of location.areas || []) {
+        citiesInArea(area, location.name).forEach((city) => {
+          addCity(location.cities, city);
+          addCity(this.selectedCities, city);
+        });
+      }
+    }
+  }
+
+  /**
+   * Distinct area labels of the given cities, for logging.
+   */
+  describeAreas(cityNames) {
+    if (!this.citiesData) return "";
+    const areaIds = new Set(
+      cityNames
+        .map((cityName) => this.citiesData[cityName]?.area)
+        .filter((areaId) => areaId !== undefined)
+    );
+    return [...areaIds].map((areaId) => this.getAreaLabel(areaId)).join(", ");
+  }
+
+  // Helper method to check if alert affects monitored cities or is nationwide
+  getAffectedCities(citiesIds) {
+    // Check for nationwide alert first
+    if (citiesIds.includes(NATIONWIDE_CITY_ID)) {
+      this.log.info("🌍 Nationwide alert detected (city ID 10000000)");
+      return this.selectedCities.length > 0
+        ? this.selectedCities
+        : ["Nationwide"];
+    }
+
+    // Match against specific cities
+    const affectedCities = this.selectedCities.filter((cityName) => {
+      const cityId = this.cityNameToId.get(cityName);
+      if (!cityId) {
+        this.log.warn(`⚠️ City "${cityName}" not found in cities data`);
+        return false;
+      }
+      return citiesIds.includes(cityId);
+    });
+
+    return affectedCities;
+  }
+
+  parseDebounceConfig(options = {}) {
+    const seconds = {};
+    for (const type of [
+      ALERT_TYPES.PRIMARY,
+      ALERT_TYPES.EARLY_WARNING,
+      ALERT_TYPES.EXIT_NOTIFICATION,
+    ]) {
+      const value = options.seconds?.[type];
+      seconds[type] =
+        Number.isFinite(value) && value >= 0 ? value : DEFAULT_DEBOUNCE_SECONDS;
+    }
+    let groupBy = options.groupBy || INCIDENT_GROUPING.NONE;
+    if (!Object.values(INCIDENT_GROUPING).includes(groupBy)) {
+      this.log.warn(`⚠️ Unknown debounce.groupBy ${groupBy}, not grouping`);
+      groupBy = INCIDENT_GROUPING.NONE;
+    }
+    return {
+      seconds,
+      groupBy,
+      groupWindowSeconds: Number.isFinite(options.groupWindowSeconds)
+        ? options.groupWindowSeconds
+        : 60,
+    };
+  }
+
+  getDebounceMs(alertType) {
+    return (
+      (this.debounceConfig.seconds[alertType] ?? DEFAULT_DEBOUNCE_SECONDS) *
+      1000
+    );
+  }
+
+  /**
+   * Debounce per alert type and city. A threat with a higher priority (lower
+   * number) than the one that started the debounce always cuts through it.
+   */
+  canTriggerAlert(alertType, cityName, simulated = false, priority = null) {
+    // Simulations debounce among themselves, never against real alerts
+    const key = `${simulated ? "simulated_" : ""}${alertType}_${cityName}`;
+    const last = this.alertDebounce.get(key);
+    const now = Date.now();
+    const debounceMs = this.getDebounceMs(alertType);
+    const cutsThrough =
+      last && priority !== null && last.priority !== null
+        ? priority < last.priority
+        : false;
+
+    if (
+      !last ||
+      debounceMs === 0 ||
+      now - last.at > debounceMs ||
+      cutsThrough
+    ) {
+      if (cutsThrough && now - last.at <= debounceMs) {
+        this.log.info(
+          `⚡ ${alertType} in ${cityName} cuts through the debounce (priority ${priority} over ${last.priority})`
+        );
+      }
+      this.alertDebounce.set(key, { at: now, priority });
+      this.log.debug(`✅ Debounce OK for ${alertType} in ${cityName}`);
+      return true;
+    }
+
+    const secondsLeft = Math.ceil((debounceMs - (now - last.at)) / 1000);
+    this.log.debug(
+      `⏱️ Debounce active for ${alertType} in ${cityName} - ${secondsLeft} seconds left`
+    );
+    return false;
+  }
+
+  /**
+   * Group a triggering message into the incident running for its alert type:
+   * same Tzofar notificationId, or within the grouping window of the first
+   * message. A threat with a higher priority always starts a new incident,
+   * and an incident ends when its alert resets. Returns `{ incident, grouped }`.
+   */
+  groupIncident(
+    alertType,
+    { notificationId = null, priority = null, simulated = false } = {}
+  ) {
+    const key = `${simulated ? "simulated_" : ""}${alertType}`;
+    const now = Date.now();
+    const current = this.incidents.get(key);
+    const { groupBy, groupWindowSeconds } = this.debounceConfig;
+    const escalates =
+      current && priority !== null && current.priority !== null
+        ? priority < current.priority
+        : false;
+    const grouped =
+      Boolean(current) &&
+      !escalates &&
+      ((groupBy === INCIDENT_GROUPING.NOTIFICATION &&
+        Boolean(notificationId) &&
+        current.notificationIds.has(notificationId)) ||
+        (groupBy === INCIDENT_GROUPING.WINDOW &&
+          now - current.startedAt <= groupWindowSeconds * 1000));
+
+    if (grouped) {
+      current.messages++;
+      return { incident: current, grouped: true };
+    }
+    const incident = {
+      id: crypto.randomUUID(),
+      startedAt: now,
+      simulated,
+      priority,
+      notificationIds: new Set(notificationId ? [notificationId] : []),
+      messages: 1,
+    };
+    this.incidents.set(key, incident);
+    return { incident, grouped: false };
+  }
+
+  /**
+   * End the incident of an alert type, so the next message triggers again
+   * instead of joining an alert that is no longer on.
+   */
+  endIncident(alertType) {
+    this.incidents.delete(alertType);
+    this.incidents.delete(`simulated_${alertType}`);
+  }
+
+  /**
+   * Cities of a grouped message get shelter sessions and join the active
+   * cities and locations of the alert. Media is not replayed.
+   */
+  joinIncident(alertType, cities, incident, threatInfo = null) {
+    const merge = (active) => [...new Set([...active, ...cities])];
+    switch (alertType) {
+      case ALERT_TYPES.PRIMARY:
+        this.addPrimaryCities(cities, threatInfo, incident.simulated);
+        break;
+      case ALERT_TYPES.EARLY_WARNING:
+        if (!this.isEarlyWarningActive) break;
+        this.earlyWarningActiveCities = merge(this.earlyWarningActiveCities);
+        this.setLocationAlertState(alertType, cities, true);
+        break;
+      case ALERT_TYPES.EXIT_NOTIFICATION:
+        if (!this.isExitNotificationActive) break;
+        this.exitNotificationActiveCities = merge(
+          this.exitNotificationActiveCities
+        );
+        this.setLocationAlertState(alertType, cities, true);
+        break;
+    }
+    this.log.info(
+      `🧩 ${alertType} for ${cities.join(", ")} joins the running incident (${
+        incident.messages
+      } messages)`
+    );
+  }
+
+  // Tzofar WebSocket setup
+  setupTzofarWebSocket() {
+    this.log.info(`🔌 Setting up Tzofar WebSocket connection...`);
+    this.tzofarClient = new TzofarWebSocketClient(this);
+    this.sources.push(this.tzofarClient);
+  }
+
+  /**
+   * Start Tzofar plus any configured redundant sources.
+   */
+  setupAlertSources() {
+    if (this.tzofar.enabled) this.setupTzofarWebSocket();
+
+    const oref = this.sourcesConfig.oref;
+    if (oref.enabled) {
+      this.sources.push(
+        new HttpPollingSource(this, "oref", { ...oref, format: "oref" })
+      );
+    }
+
+    this.sourcesConfig.custom.forEach((feed, index) => {
+      const name = feed.name || `custom-${index + 1}`;
+      this.sources.push(
+        feed.type === "websocket"
+          ? new WebSocketFeedSource(this, name, feed)
+          : new HttpPollingSource(this, name, feed)
+      );
+    });
+
+    if (this.sources.length === 0) {
+      this.log.error(
+        "❌ No alert sources enabled - no alerts will be received"
+      );
+      return;
+    }
+    this.log.info(
+      `📡 Alert sources: ${this.sources.map((s) => s.name).join(", ")}`
+    );
+    this.sources.forEach((source) => source.start());
+  }
+
+  /**
+   * Periodically check that at least one source is connected and has shown
+   * activity recently. A silent failure is the worst outcome for this plugin.
+   */
+  setupFeedHealthMonitor() {
+    this.feedHealthTimer = setInterval(
+      () => this.checkFeedHealth(),
+      this.healthConfig.checkIntervalSeconds * 1000
+    );
+  }
+
+  isSourceHealthy(status) {
+    if (!status.connected || !status.lastActivityAt) return false;
+    const idleMs = Date.now() - new Date(status.lastActivityAt).getTime();
+    return idleMs < this.healthConfig.staleSeconds * 1000;
+  }
+
+  checkFeedHealth() {
+    const healthy = this.sources.some((source) =>
+      this.isSourceHealthy(source.getStatus())
+    );
+    if (healthy === this.feedHealthy) return;
+
+    const now = Date.now();
+    const stats = this.feedStats;
+    this.feedHealthy = healthy;
+    if (healthy) {
+      const outageMs = now - stats.lastOutageStartedAt;
+      stats.totalOutageMs += outageMs;
+      stats.longestOutageMs = Math.max(stats.longestOutageMs, outageMs);
+      stats.lastOutageEndedAt = now;
+      stats.healthySince = now;
+      this.log.info(
+        `✅ Alert feed healthy again after ${Math.round(outageMs / 1000)}s`
+      );
+    } else {
+      stats.outages++;
+      stats.lastOutageStartedAt = now;
+      stats.healthySince = null;
+      this.log.error(
+        "❌ Alert feed unhealthy - no source connected or active. Alerts may be missed!"
+      );
+    }
+
+    this.updateFeedHealthServices();
+    this.eventFeed.publish(FEED_EVENT_TYPES.FEED_HEALTH, {
+      healthy,
+      sources: this.sources.map((source) => source.getStatus()),
+    });
+    this.scheduleStateSave();
+  }
+
+  /**
+   * Health sensor plus StatusFault on the alert sensors, so a blind plugin
+   * is visible on every tile in the Home app.
+   */
+  updateFeedHealthServices() {
+    const fault = this.feedHealthy
+      ? Characteristic.StatusFault.NO_FAULT
+      : Characteristic.StatusFault.GENERAL_FAULT;
+    if (this.feedHealthService) {
+      this.feedHealthService.updateCharacteristic(
+        Characteristic.ContactSensorState,
+        this.feedHealthy
+          ? Characteristic.ContactSensorState.CONTACT_DETECTED
+          : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      );
+    }
+    [
+      this.feedHealthService,
+      this.service,
+      this.earlyWarningService,
+      this.exitNotificationService,
+      ...this.locations.flatMap((location) => Object.values(location.services)),
+    ]
+      .filter(Boolean)
+      .forEach((service) =>
+        service.updateCharacteristic(Characteristic.StatusFault, fault)
+      );
+  }
+
+  getFeedHealthStatus() {
+    const stats = this.feedStats;
+    const currentOutageMs = this.feedHealthy
+      ? 0
+      : Date.now() - stats.lastOutageStartedAt;
+    return {
+      healthy: this.feedHealthy,
+      healthySince: toIsoTime(stats.healthySince),
+      outages: stats.outages,
+      totalOutageSeconds: Math.round(
+        (stats.totalOutageMs + currentOutageMs) / 1000
+      ),
+      longestOutageSeconds: Math.round(
+        Math.max(stats.longestOutageMs, currentOutageMs) / 1000
+      ),
+      lastOutageStartedAt: toIsoTime(stats.lastOutageStartedAt),
+      lastOutageEndedAt: toIsoTime(stats.lastOutageEndedAt),
+      totalReconnects: this.sources.reduce(
+        (sum, source) => sum + (source.getStatus().totalReconnects || 0),
+        0
+      ),
+    };
+  }
+
+  /**
+   * Entry point for every source. Classifies system messages, drops
+   * cross-source duplicates and dispatches to the alert handlers.
+   */
+  handleSourceEvent(event) {
+    if (!event) return;
+    const origin = { source: event.source, simulated: !!event.simulated };
+    const kind =
+      event.kind === SYSTEM_MESSAGE_KIND
+        ? this.classifySystemMessage(event.data)
+        : event.kind;
+
+    if (!kind) {
+      this.log.debug(
+        "📋 System message is neither early warning nor exit notification - ignoring"
+      );
+      this.finishHistoryEvent(
+        this.startHistoryEvent("system-message", event.data, origin),
+        HISTORY_OUTCOMES.IGNORED
+      );
+      return;
+    }
+
+    // Simulations must never mark a real alert as a duplicate
+    const data = origin.simulated
+      ? event.data
+      : this.dedupeSourceEvent(event.source, kind, event.data);
+    if (!data) return;
+
+    switch (kind) {
+      case ALERT_TYPES.PRIMARY:
+        this.handlePrimaryAlert(data, origin);
+        break;
+      case ALERT_TYPES.EARLY_WARNING:
+        this.handleEarlyWarning(data, origin);
+        break;
+      case ALERT_TYPES.EXIT_NOTIFICATION:
+        this.handleExitNotification(data, origin);
+        break;
+    }
+  }
+
+  /**
+   * Drop cities another source already reported within the dedupe window,
+   * so one alert never plays twice. Repeats from the same source are left
+   * to the normal debounce. Returns null when nothing new remains.
+   */
+  dedupeSourceEvent(source, kind, data) {
+    if (this.sources.length < 2 || !data) return data;
+
+    const isPrimary = kind === ALERT_TYPES.PRIMARY;
+    if (isPrimary && data.isDrill) return data;
+    const field = isPrimary ? "cities" : "citiesIds";
+    const items = Array.isArray(data[field]) ? data[field] : [];
+    const keyFor = (item) =>
+      isPrimary ? `${kind}:${data.threat}:${item}` : `${kind}:${item}`;
+
+    const now = Date.now();
+    const windowMs = this.sourcesConfig.dedupeWindowSeconds * 1000;
+    const duplicateOf = new Set();
+    const fresh = items.filter((item) => {
+      const seen = this.sourceDedupe.get(keyFor(item));
+      if (seen && seen.source !== source && now - seen.timestamp < windowMs) {
+        duplicateOf.add(seen.source);
+        return false;
+      }
+      return true;
+    });
+    fresh.forEach((item) =>
+      this.sourceDedupe.set(keyFor(item), { source, timestamp: now })
+    );
+
+    if (items.length > 0 && fresh.length === 0) {
+      this.log.info(
+        `🔁 Duplicate ${kind} from ${source} (already received from ${[
+          ...duplicateOf,
+        ].join(", ")})`
+      );
+      this.finishHistoryEvent(
+        this.startHistoryEvent(kind, data, { source }),
+        HISTORY_OUTCOMES.DUPLICATE
+      );
+      return null;
+    }
+    return fresh.length === items.length ? data : { ...data, [field]: fresh };
+  }
+
+  // Primary alert handler (from ALERT messages of any source)
+  handlePrimaryAlert(alertData, origin = DEFAULT_ORIGIN) {
+    this.log.debug(`🚨 Processing primary alert: ${JSON.stringify(alertData)}`);
+    const event = this.startHistoryEvent(
+      ALERT_TYPES.PRIMARY,
+      alertData,
+      origin
+    );
+
+    // Validate alert data
+    if (!alertData || alertData.isDrill) {
+      this.log.info("🧪 Drill alert received - ignoring");
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DRILL);
+    }
+
+    if (!Array.isArray(alertData.cities) || alertData.cities.length === 0) {
+      this.log.warn("⚠️ Primary alert missing cities data");
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.INVALID);
+    }
+
+    // Map threat ID to alert info
+    const threatInfo = THREAT_ID_MAPPING[alertData.threat];
+    if (!threatInfo) {
+      this.log.warn(`⚠️ Unknown threat ID: ${alertData.threat}`);
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.UNKNOWN_THREAT);
+    }
+
+    event.threat = {
+      id: alertData.threat,
+      key: threatInfo.key,
+      name: threatInfo.name,
+      priority: threatInfo.priority,
+    };
+
+    const threatConfig = this.threatsConfig[threatInfo.key];
+    if (!threatConfig.enabled) {
+      this.log.info(
+        `⏸️ ${threatInfo.name} alerts disabled (threat ${alertData.threat}) - ignoring`
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DISABLED);
+    }
+
+    // Nationwide check for primary alert: city name "רחבי הארץ"
+    let affectedCities;
+    if (alertData.cities.includes("רחבי הארץ")) {
+      this.log.info('🌍 Nationwide primary alert detected ("רחבי הארץ")');
+      affectedCities =
+        this.selectedCities.length > 0 ? this.selectedCities : ["Nationwide"];
+    } else {
+      // Match by city name
+      affectedCities = alertData.cities.filter((city) =>
+        this.selectedCities.includes(city)
+      );
+    }
+
+    event.cities = affectedCities;
+    if (affectedCities.length === 0) {
+      this.log.debug(`🚨 Primary alert found but none for monitored cities`);
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.NO_MATCH);
+    }
+
+    // Apply debounce for each affected city
+    const debouncedCities = affectedCities.filter((cityName) =>
+      this.canTriggerAlert(
+        threatInfo.type,
+        cityName,
+        event.simulated,
+        threatInfo.priority
+      )
+    );
+
+    if (debouncedCities.length === 0) {
+      this.log.info(
+        `🚨 Primary alert found for ${affectedCities.join(
+          ", "
+        )} but all are in debounce period`
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DEBOUNCED);
+    }
+
+    const { incident, grouped } = this.groupIncident(ALERT_TYPES.PRIMARY, {
+      notificationId: alertData.notificationId,
+      priority: threatInfo.priority,
+      simulated: event.simulated,
+    });
+    event.incident = incident.id;
+    if (grouped) {
+      this.joinIncident(
+        ALERT_TYPES.PRIMARY,
+        debouncedCities,
+        incident,
+        threatInfo
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.GROUPED, {
+        cities: debouncedCities,
+      });
+    }
+
+    // A less severe threat never interrupts the alert in progress
+    const activeThreat = this.isAlertActive ? this.alertActiveThreat : null;
+    if (activeThreat && threatInfo.priority > activeThreat.priority) {
+      this.log.info(
+        `🔺 ${threatInfo.name} in ${debouncedCities.join(
+          ", "
+        )} does not interrupt the active ${activeThreat.name} alert`
+      );
+      this.addPrimaryCities(debouncedCities, threatInfo, event.simulated);
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.SUPPRESSED, {
+        cities: debouncedCities,
+        suppressedBy: activeThreat.key,
+      });
+    }
+    if (activeThreat && threatInfo.priority < activeThreat.priority) {
+      this.log.info(
+        `🔺 ${threatInfo.name} preempts the active ${activeThreat.name} alert`
+      );
+      event.preempted = activeThreat.key;
+    }
+
+    this.log.info(`🚨 PRIMARY ALERT TRIGGERED (${threatInfo.name})`);
+    this.log.info(`📍 Areas: ${debouncedCities.join(", ")}`);
+    this.log.info(`🗺️ Regions: ${this.describeAreas(debouncedCities)}`);
+    this.logProximity(debouncedCities);
+    this.log.info(
+      `⚠️ Threat Level: ${alertData.threat} (Priority: ${threatInfo.priority})`
+    );
+    this.log.info(
+      `🛡️ Instructions: ${PROTECTIVE_ACTION_INSTRUCTIONS[threatInfo.action]}`
+    );
+    this.log.info(
+      `⏰ Time: ${new Date().toLocaleString("en-US", {
+        timeZone: "Asia/Jerusalem",
+      })} (Israel time)`
+    );
+
+    // Trigger primary alert (PRIMARY ALERTS ARE NEVER TIME-RESTRICTED)
+    this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, {
+      cities: debouncedCities,
+    });
+    this.triggerPrimaryAlert(debouncedCities, threatInfo, event);
+  }
+
+  /**
+   * Primary alert side effects: shelter sessions, HomeKit, countdown and Chromecast.
+   */
+  triggerPrimaryAlert(cities, threatInfo, event = null) {
+    // Track shelter sessions for exit notification matching (never for replays)
+    if (!event?.simulated) this.startShelterSessions(cities, threatInfo);
+
+    // Stop any lower priority alerts
+    if (this.isEarlyWarningActive) {
+      this.log.info("🟡 Stopping early warning for primary alert");
+      this.stopEarlyWarningPlayback();
+    }
+    if (this.isExitNotificationActive) {
+      this.log.info("🟢 Stopping exit notification for primary alert");
+      this.stopExitNotificationPlayback();
+    }
+
+    // A preempting threat adds its cities to those of the alert still in force
+    const preempts =
+      this.isAlertActive &&
+      this.alertActiveThreat !== null &&
+      threatInfo.priority < this.alertActiveThreat.priority;
+    this.alertActiveCities = preempts
+      ? [...new Set([...this.alertActiveCities, ...cities])]
+      : cities;
+    this.isAlertActive = true;
+    this.alertActiveThreat = threatInfo;
+    this.activeThreats.set(threatInfo.key, threatInfo);
+    this.service.updateCharacteristic(
+      Characteristic.ContactSensorState,
+      Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+    );
+    this.updateThreatSensor(threatInfo, true);
+    this.updateThreatLevel();
+    this.setLocationAlertState(ALERT_TYPES.PRIMARY, cities, true);
+    this.startShelterTimer(cities);
+    this.publishEvent(ALERT_TYPES.PRIMARY, {
+      cities,
+      threat: threatInfo,
+      event,
+    });
+
+    if (this.useChromecast) {
+      this.playChromecastMedia(ALERT_TYPES.PRIMARY, threatInfo, event);
+    }
+
+    // Auto-reset timer, restarted by every primary alert
+    clearTimeout(this.primaryResetTimer);
+    this.primaryResetTimer = setTimeout(() => {
+      this.log.info("✅ Auto-resetting primary alert state");
+      this.resetPrimaryAlert();
+    }, this.chromecastTimeout * 1000);
+  }
+
+  /**
+   * Add cities (and their threat) to the primary alert in progress without
+   * replaying media. Outside an alert only their shelter sessions start.
+   */
+  addPrimaryCities(cities, threatInfo, simulated = false) {
+    if (!simulated) this.startShelterSessions(cities, threatInfo);
+    if (!this.isAlertActive) return;
+    this.alertActiveCities = [
+      ...new Set([...this.alertActiveCities, ...cities]),
+    ];
+    this.setLocationAlertState(ALERT_TYPES.PRIMARY, cities, true);
+    if (!this.activeThreats.has(threatInfo.key)) {
+      this.activeThreats.set(threatInfo.key, threatInfo);
+      this.updateThreatSensor(threatInfo, true);
+    }
+  }
+
+  resetPrimaryAlert() {
+    clearTimeout(this.primaryResetTimer);
+    this.primaryResetTimer = null;
+    this.endIncident(ALERT_TYPES.PRIMARY);
+    if (this.isAlertActive) {
+      this.isAlertActive = false;
+      this.alertActiveCities = [];
+      this.service.updateCharacteristic(
+        Characteristic.ContactSensorState,
+        Characteristic.ContactSensorState.CONTACT_DETECTED
+      );
+      this.setLocationAlertState(ALERT_TYPES.PRIMARY, null, false);
+    }
+    this.activeThreats.forEach((threat) =>
+      this.updateThreatSensor(threat, false)
+    );
+    this.activeThreats.clear();
+    this.alertActiveThreat = null;
+    this.updateThreatLevel();
+  }
+
+  /**
+   * Start the countdown to reach the shelter, using the shortest `countdown`
+   * among the alerted cities. A new primary alert restarts it.
+   */
+  startShelterTimer(cities) {
+    const countdown = this.getCountdown(cities);
+    if (!countdown) {
+      this.log.debug("⏳ No countdown data for alerted cities");
+      return;
+    }
+
+    const { seconds, city, cities: withCountdown } = countdown;
+    const now = Date.now();
+
+    this.clearShelterTimer();
+    this.shelterTimer = {
+      seconds,
+      startedAt: now,
+      endsAt: now + seconds * 1000,
+      city,
+      cities: withCountdown,
+    };
+    this.log.info(`⏳ Time to shelter: ${seconds}s (${city})`);
+    this.updateShelterTimerService();
+
+    this.shelterTimerTimeout = setTimeout(
+      () => this.expireShelterTimer(),
+      seconds * 1000
+    );
+  }
+
+  /**
+   * Shortest countdown (seconds to shelter) among the given cities, or null.
+   */
+  getCountdown(cities) {
+    const withCountdown = cities.filter((cityName) =>
+      Number.isFinite(this.citiesData?.[cityName]?.countdown)
+    );
+    if (withCountdown.length === 0) return null;
+
+    const city = withCountdown.reduce((shortest, cityName) =>
+      this.citiesData[cityName].countdown < this.citiesData[shortest].countdown
+        ? cityName
+        : shortest
+    );
+    return {
+      seconds: this.citiesData[city].countdown,
+      city,
+      cities: withCountdown,
+    };
+  }
+
+  /**
+   * City names in the given language (cities.json translations), falling
+   * back to the configured name.
+   */
+  localizeCities(cities, language = this.language) {
+    return cities.map((cityName) => {
+      if (cityName === "Nationwide") {
+        return (ALERT_TEXTS[language] || ALERT_TEXTS.en).nationwide;
+      }
+      return this.citiesData?.[cityName]?.[language] || cityName;
+    });
+  }
+
+  getThreatName(threat, language = this.language) {
+    if (language === "he") return threat.nameHe;
+    return ALERT_TEXTS[language]?.threats[threat.key] || threat.name;
+  }
+
+  /**
+   * Localized title and body of an alert, used for the log, push events
+   * and announcements.
+   */
+  describeAlert(alertType, cities, { threat = null, language } = {}) {
+    language = language || this.language;
+    const texts = ALERT_TEXTS[language] || ALERT_TEXTS.en;
+    const parts = [this.localizeCities(cities, language).join(", ")];
+    let title = texts.titles[alertType];
+
+    if (alertType === ALERT_TYPES.PRIMARY) {
+      if (threat) title = this.getThreatName(threat, language);
+      parts.push(
+        texts.actions[threat ? threat.action : PROTECTIVE_ACTIONS.SHELTER]
+      );
+      const countdown = this.getCountdown(cities);
+      if (countdown) {
+        parts.push(texts.countdown.replace("{seconds}", countdown.seconds));
+      }
+    } else {
+      parts.push(texts.messages[alertType]);
+    }
+
+    return { language, title, body: parts.filter(Boolean).join(". ") };
+  }
+
+  /**
+   * Publish a normalized event to the push feed.
+   */
+  publishEvent(type, { cities = [], threat = null, event = null } = {}) {
+    const countdown = this.getCountdown(cities);
+    const text = this.describeAlert(type, cities, { threat });
+    if (this.language !== DEFAULT_LANGUAGE) {
+      this.log.info(`📢 ${text.title}: ${text.body}`);
+    }
+    this.eventFeed.publish(type, {
+      ...text,
+      cities,
+      localizedCities: this.localizeCities(cities),
+      threat: threat
+        ? {
+            key: threat.key,
+            name: threat.name,
+            nameHe: threat.nameHe,
+            priority: threat.priority,
+            action: threat.action,
+          }
+        : null,
+      countdown: countdown
+        ? { seconds: countdown.seconds, city: countdown.city }
+        : null,
+      historyId: event ? event.id : null,
+      test: !!event?.test,
+      simulated: !!event?.simulated,
+    });
+  }
+
+  expireShelterTimer() {
+    if (!this.shelterTimer) return;
+    this.log.info(
+      `⌛ Shelter time expired (${this.shelterTimer.seconds}s for ${this.shelterTimer.city})`
+    );
+    const cities = this.shelterTimer.cities;
+    this.clearShelterTimer();
+    this.updateShelterTimerService();
+    this.publishEvent(FEED_EVENT_TYPES.SHELTER_TIME_EXPIRED, { cities });
+
+    this.shelterTimeExpired = true;
+    if (this.shelterExpiredService) {
+      this.shelterExpiredService.updateCharacteristic(
+        Characteristic.ContactSensorState,
+        Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+      );
+    }
+    setTimeout(() => {
+      this.shelterTimeExpired = false;
+      if (this.shelterExpiredService) {
+        this.shelterExpiredService.updateCharacteristic(
+          Characteristic.ContactSensorState,
+          Characteristic.ContactSensorState.CONTACT_DETECTED
+        );
+      }
+    }, this.shelterTimerConfig.expiredResetSeconds * 1000);
+  }
+
+  clearShelterTimer() {
+    if (this.shelterTimerTimeout) {
+      clearTimeout(this.shelterTimerTimeout);
+      this.shelterTimerTimeout = null;
+    }
+    this.shelterTimer = null;
+  }
+
+  getShelterTimeRemaining() {
+    if (!this.shelterTimer) return 0;
+    return Math.max(
+      0,
+      Math.ceil((this.shelterTimer.endsAt - Date.now()) / 1000)
+    );
+  }
+
+  updateShelterTimerService() {
+    if (!this.shelterTimerService) return;
+    const active = !!this.shelterTimer;
+    // HomeKit counts down on its own from RemainingDuration
+    this.shelterTimerService
+      .updateCharacteristic(
+        Characteristic.SetDuration,
+        active ? this.shelterTimer.seconds : 0
+      )
+      .updateCharacteristic(
+        Characteristic.RemainingDuration,
+        this.getShelterTimeRemaining()
+      )
+      .updateCharacteristic(
+        Characteristic.Active,
+        active ? Characteristic.Active.ACTIVE : Characteristic.Active.INACTIVE
+      )
+      .updateCharacteristic(
+        Characteristic.InUse,
+        active ? Characteristic.InUse.IN_USE : Characteristic.InUse.NOT_IN_USE
+      );
+  }
+
+  /**
+   * Snapshot of the plugin state for the status API.
+   */
+  getStatus() {
+    return {
+      language: this.language,
+      connection: this.tzofarClient ? this.tzofarClient.getStatus() : null,
+      sources: this.sources.map((source) => source.getStatus()),
+      health: this.getFeedHealthStatus(),
+      announcements: this.announcer.getStatus(),
+      schedules: this.schedules.getStatus(),
+      shabbat: this.shabbat.getStatus(),
+      devices: this.getDevicesStatus(),
+      primary: {
+        active: this.isAlertActive,
+        cities: this.alertActiveCities,
+        threat: this.alertActiveThreat ? this.alertActiveThreat.name : null,
+        threatKey: this.alertActiveThreat?.key ?? null,
+        priority: this.alertActiveThreat?.priority ?? null,
+        threatLevel: this.alertActiveThreat
+          ? threatLevel(this.alertActiveThreat)
+          : 0,
+        threats: [...this.activeThreats.values()].map((threat) => ({
+          key: threat.key,
+          name: threat.name,
+          priority: threat.priority,
+        })),
+      },
+      earlyWarning: {
+        active: this.isEarlyWarningActive,
+        cities: this.earlyWarningActiveCities,
+      },
+      exitNotification: {
+        active: this.isExitNotificationActive,
+        cities: this.exitNotificationActiveCities,
+      },
+      shelterSessions: [...this.shelterSessions.values()].map((session) => ({
+        city: session.city,
+        state: session.state,
+        threat: session.threat ? session.threat.name : null,
+        alertedAt: new Date(session.alertedAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString(),
+        releaseReason: session.releaseReason,
+      })),
+      shelterTimer: this.shelterTimer
+        ? {
+            active: true,
+            seconds: this.shelterTimer.seconds,
+            remaining: this.getShelterTimeRemaining(),
+            city: this.shelterTimer.city,
+            startedAt: new Date(this.shelterTimer.startedAt).toISOString(),
+            endsAt: new Date(this.shelterTimer.endsAt).toISOString(),
+          }
+        : { active: false, expired: this.shelterTimeExpired },
+    };
+  }
+
+  /**
+   * Shelter session per city: idle -> alerted -> stay-in-shelter -> released.
+   * Alerted moves to stay-in-shelter once the city's countdown has passed;
+   * only a matching exit notification or the maximum duration releases it.
+   */
+  startShelterSessions(cities, threat) {
+    const now = Date.now();
+    for (const cityName of cities) {
+      const previous = this.shelterSessions.get(cityName);
+      if (previous) this.clearShelterSessionTimers(previous);
+
+      const session = {
+        city: cityName,
+        state: previous ? previous.state : SHELTER_SESSION_STATES.IDLE,
+        threat,
+        alertedAt: now,
+        updatedAt: now,
+        releaseReason: null,
+        stayTimer: null,
+        maxTimer: null,
+      };
+      this.shelterSessions.set(cityName, session);
+      this.setShelterSessionState(session, SHELTER_SESSION_STATES.ALERTED);
+
+      const countdown = this.citiesData?.[cityName]?.countdown;
+      session.stayTimer = setTimeout(
+        () =>
+          this.setShelterSessionState(
+            session,
+            SHELTER_SESSION_STATES.STAY_IN_SHELTER
+          ),
+        (Number.isFinite(countdown) ? countdown : 0) * 1000
+      );
+      session.maxTimer = setTimeout(
+        () => this.releaseShelterSessions([cityName], "maximum duration"),
+        this.shelterSessionConfig.maxDurationMinutes * 60 * 1000
+      );
+    }
+    this.updateShelterSessionSensors();
+  }
+
+  releaseShelterSessions(cities, reason) {
+    let released = 0;
+    for (const cityName of cities) {
+      const session = this.shelterSessions.get(cityName);
+      if (!session || !this.isShelterSessionActive(session)) continue;
+      this.clearShelterSessionTimers(session);
+      session.releaseReason = reason;
+      this.setShelterSessionState(session, SHELTER_SESSION_STATES.RELEASED);
+      released++;
+    }
+    if (released > 0) {
+      this.log.info(`🚪 Released ${released} shelter sessions (${reason})`);
+      this.updateShelterSessionSensors();
+      this.scheduleStateSave();
+    }
+  }
+
+  setShelterSessionState(session, state) {
+    if (session.state === state) return;
+    this.log.info(
+      `🏠 Shelter session ${session.city}: ${session.state} → ${state}${
+        session.threat ? ` (${session.threat.name})` : ""
+      }`
+    );
+    session.state = state;
+    session.updatedAt = Date.now();
+    if (state === SHELTER_SESSION_STATES.STAY_IN_SHELTER) {
+      session.stayTimer = null;
+    }
+  }
+
+  clearShelterSessionTimers(session) {
+    clearTimeout(session.stayTimer);
+    clearTimeout(session.maxTimer);
+    session.stayTimer = null;
+    session.maxTimer = null;
+  }
+
+  isShelterSessionActive(session) {
+    return (
+      session.state === SHELTER_SESSION_STATES.ALERTED ||
+      session.state === SHELTER_SESSION_STATES.STAY_IN_SHELTER
+    );
+  }
+
+  isInShelter(cities = null) {
+    for (const [cityName, session] of this.shelterSessions) {
+      if (cities !== null && !cities.includes(cityName)) continue;
+      if (this.isShelterSessionActive(session)) return true;
+    }
+    return false;
+  }
+
+  updateShelterSessionSensors() {
+    const occupancy = (inShelter) =>
+      inShelter
+        ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+        : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED;
+
+    if (this.stayInShelterService) {
+      this.stayInShelterService.updateCharacteristic(
+        Characteristic.OccupancyDetected,
+        occupancy(this.isInShelter())
+      );
+    }
+    for (const location of this.locations) {
+      if (!location.stayInShelterService) continue;
+      location.stayInShelterService.updateCharacteristic(
+        Characteristic.OccupancyDetected,
+        occupancy(this.isInShelter(location.cities))
+      );
+    }
+  }
+
+  /**
+   * Open the history store and restore debounce, cooldown and shelter session state.
+   */
+  async setupHistory() {
+    if (!this.historyConfig.enabled) {
+      this.log.info("📚 Alert history disabled");
+      return;
+    }
+    try {
+      this.history = new AlertHistoryStore(this, {
+        dir: path.join(this.api.user.storagePath(), "red-alert-history"),
+        retentionDays: this.historyConfig.retentionDays,
+        maxRecords: this.historyConfig.maxRecords,
+        includeRaw: this.historyConfig.includeRaw,
+      });
+      await this.history.load();
+      this.restoreState(await this.history.loadState());
+    } catch (error) {
+      this.log.error(`❌ Failed to set up alert history: ${error.message}`);
+      this.history = null;
+    }
+  }
+
+  startHistoryEvent(alertType, raw, origin = DEFAULT_ORIGIN) {
+    const event = {
+      id: crypto.randomUUID(),
+      timestamp: new Date().toISOString(),
+      alertType,
+      source: origin.source || DEFAULT_ORIGIN.source,
+      raw,
+      threat: null,
+      cities: [],
+      devices: [],
+      outcome: null,
+    };
+    if (origin.simulated) event.simulated = true;
+    return event;
+  }
+
+  finishHistoryEvent(event, outcome, details = {}) {
+    Object.assign(event, details, { outcome });
+    if (event.simulated) {
+      this.simulatedHistory.push(event);
+      if (this.simulatedHistory.length > SIMULATED_HISTORY_SIZE) {
+        this.simulatedHistory.shift();
+      }
+      return;
+    }
+    if (this.history) this.history.add(event);
+    this.scheduleStateSave();
+  }
+
+  /**
+   * Add or update the playback entry of a device in the history event.
+   */
+  recordPlayback(event, device, details) {
+    if (!event) return;
+    let entry = event.devices.find((d) => d.name === device.friendlyName);
+    if (!entry) {
+      entry = { name: device.friendlyName, host: device.host };
+      event.devices.push(entry);
+    }
+    Object.assign(entry, details, { updatedAt: new Date().toISOString() });
+    if (this.history && !event.simulated) {
+      this.history.update(event.id, { devices: event.devices });
+    }
+  }
+
+  getPersistentState() {
+    return {
+      savedAt: new Date().toISOString(),
+      alertDebounce: [...this.alertDebounce.entries()].filter(
+        ([key]) => !key.startsWith("simulated_")
+      ),
+      shelterInstructionsLastPlayed: Object.fromEntries(
+        Object.entries(this.shelterInstructionsLastPlayed).map(
+          ([device, played]) => [
+            device,
+            Object.fromEntries(
+              Object.entries(played).filter(
+                ([type]) => !type.startsWith("simulated-")
+              )
+            ),
+          ]
+        )
+      ),
+      feedStats: {
+        outages: this.feedStats.outages,
+        totalOutageMs: this.feedStats.totalOutageMs,
+        longestOutageMs: this.feedStats.longestOutageMs,
+        lastOutageStartedAt: this.feedStats.lastOutageStartedAt,
+        lastOutageEndedAt: this.feedStats.lastOutageEndedAt,
+      },
+      forcedProfiles: [...this.schedules.forced],
+      shelterSessions: [...this.shelterSessions.values()].map((session) => ({
+        city: session.city,
+        state: session.state,
+        threatKey: session.threat ? session.threat.key : null,
+        alertedAt: session.alertedAt,
+        updatedAt: session.updatedAt,
+        releaseReason: session.releaseReason,
+      })),
+    };
+  }
+
+  restoreState(state) {
+    if (!state) return;
+    const now = Date.now();
+
+    const longestDebounceMs =
+      Math.max(...Object.values(this.debounceConfig.seconds)) * 1000;
+    for (const [key, saved] of state.alertDebounce || []) {
+      // Older state files saved a plain timestamp
+      const entry =
+        typeof saved === "number" ? { at: saved, priority: null } : saved;
+      if (now - entry.at < longestDebounceMs) {
+        this.alertDebounce.set(key, entry);
+      }
+    }
+    Object.assign(
+      this.shelterInstructionsLastPlayed,
+      state.shelterInstructionsLastPlayed || {}
+    );
+    Object.assign(this.feedStats, state.feedStats || {});
+    for (const name of state.forcedProfiles || []) {
+      if (this.schedules.setForced(name, true)) this.updateModeSwitch(name);
+    }
+
+    const maxDuration = this.shelterSessionConfig.maxDurationMinutes * 60000;
+    let restoredSessions = 0;
+    for (const saved of state.shelterSessions || []) {
+      const session = {
+        ...saved,
+        threat:
+          Object.values(THREAT_ID_MAPPING).find(
+            (threat) => threat.key === saved.threatKey
+          ) || null,
+        stayTimer: null,
+        maxTimer: null,
+      };
+      delete session.threatKey;
+      if (this.isShelterSessionActive(session)) {
+        const remaining = saved.alertedAt + maxDuration - now;
+        if (remaining <= 0) continue;
+        session.state = SHELTER_SESSION_STATES.STAY_IN_SHELTER;
+        session.maxTimer = setTimeout(
+          () => this.releaseShelterSessions([session.city], "maximum duration"),
+          remaining
+        );
+        restoredSessions++;
+      }
+      this.shelterSessions.set(session.city, session);
+    }
+    this.updateShelterSessionSensors();
+
+    this.log.info(
+      `♻️ Restored state from ${state.savedAt}: ${this.alertDebounce.size} debounce entries, ${restoredSessions} active shelter sessions`
+    );
+  }
+
+  /**
+   * Persist state shortly after changes, coalescing bursts into one write.
+   */
+  scheduleStateSave() {
+    if (!this.history || this.stateSaveTimer) return;
+    this.stateSaveTimer = setTimeout(() => {
+      this.stateSaveTimer = null;
+      this.history.saveState(this.getPersistentState());
+    }, 2000);
+  }
+
+  // Handle ALL system messages (early warnings + exit notifications)
+  handleSystemMessage(systemMessage, origin = DEFAULT_ORIGIN) {
+    this.handleSourceEvent({
+      ...origin,
+      kind: SYSTEM_MESSAGE_KIND,
+      data: systemMessage,
+    });
+  }
+
+  /**
+   * Alert type of a Tzofar system message, or null if it is neither an
+   * early warning nor an exit notification.
+   */
+  classifySystemMessage(systemMessage) {
+    this.log.debug(`📋 Processing system message: ${systemMessage.titleHe}`);
+    if (this.isEarlyWarningMessage(systemMessage)) {
+      return ALERT_TYPES.EARLY_WARNING;
+    }
+    if (this.isExitNotificationMessage(systemMessage)) {
+      return ALERT_TYPES.EXIT_NOTIFICATION;
+    }
+    return null;
+  }
+
+  // Early warning validation
+  isEarlyWarningMessage(systemMessage) {
+    // Check title
+    const expectedTitles = ["מבזק פיקוד העורף"];
+    const hasValidTitle = expectedTitles.some((title) =>
+      systemMessage.titleHe?.includes(title)
+    );
+
+    if (!hasValidTitle) {
+      this.log.debug(
+        "📋 System message title doesn't match early warning pattern"
+      );
+      return false;
+    }
+
+    // Check content for early warning keywords
+    const bodyHe = systemMessage.bodyHe || "";
+    const hasValidContent = EARLY_WARNING_KEYWORDS.some((keyword) =>
+      bodyHe.includes(keyword)
+    );
+
+    this.log.debug(
+      `🔍 Early warning validation - Title: ${hasValidTitle}, Content: ${hasValidContent}`
+    );
+    return hasValidContent;
+  }
+
+  // Exit notification validation
+  isExitNotificationMessage(systemMessage) {
+    // Check title
+    const expectedTitles = ["עדכון פיקוד העורף"];
+    const hasValidTitle = expectedTitles.some((title) =>
+      systemMessage.titleHe?.includes(title)
+    );
+
+    if (!hasValidTitle) {
+      this.log.debug(
+        "📋 System message title doesn't match exit notification pattern"
+      );
+      return false;
+    }
+
+    // Check content for exit notification keywords
+    const bodyHe = systemMessage.bodyHe || "";
+    const hasValidContent = EXIT_NOTIFICATION_KEYWORDS.some((keyword) =>
+      bodyHe.includes(keyword)
+    );
+
+    this.log.debug(
+      `🔍 Exit notification validation - Title: ${hasValidTitle}, Content: ${hasValidContent}`
+    );
+    return hasValidContent;
+  }
+
+  // Early warning handler (from Tzofar SYSTEM_MESSAGE)
+  handleEarlyWarning(systemMessage, origin = DEFAULT_ORIGIN) {
+    this.log.info(`🟡 Processing early warning: ${systemMessage.titleHe}`);
+    const event = this.startHistoryEvent(
+      ALERT_TYPES.EARLY_WARNING,
+      systemMessage,
+      origin
+    );
+
+    // Check if early warning alerts are enabled and within time window
+    if (!this.isAlertTypeActive(ALERT_TYPES.EARLY_WARNING)) {
+      this.log.info("⏸️ Early warning alerts disabled or outside time window");
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DISABLED);
+    }
+
+    // Use citiesIds for city matching
+    const citiesIds = systemMessage.citiesIds || [];
+
+    if (!Array.isArray(citiesIds) || citiesIds.length === 0) {
+      this.log.warn(
+        "⚠️ Early warning message missing citiesIds array - cannot match cities"
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.INVALID);
+    }
+
+    // Get affected cities (including nationwide check)
+    const affectedCities = this.getAffectedCities(citiesIds);
+
+    event.cities = affectedCities;
+    if (affectedCities.length === 0) {
+      this.log.info(`🟡 Early warning found but none for monitored cities`);
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.NO_MATCH);
+    }
+
+    // Apply debounce
+    const debouncedCities = affectedCities.filter((cityName) =>
+      this.canTriggerAlert(ALERT_TYPES.EARLY_WARNING, cityName, event.simulated)
+    );
+
+    if (debouncedCities.length === 0) {
+      this.log.info(
+        `🟡 Early warning found for ${affectedCities.join(
+          ", "
+        )} but all are in debounce period`
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DEBOUNCED);
+    }
+
+    // Check if primary alert is active
+    if (this.isAlertActive) {
+      this.log.info(
+        `🟡 Early warning found but skipped (primary alert active)`
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.SUPPRESSED);
+    }
+
+    const { incident, grouped } = this.groupIncident(
+      ALERT_TYPES.EARLY_WARNING,
+      { simulated: event.simulated }
+    );
+    event.incident = incident.id;
+    if (grouped) {
+      this.joinIncident(ALERT_TYPES.EARLY_WARNING, debouncedCities, incident);
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.GROUPED, {
+        cities: debouncedCities,
+      });
+    }
+
+    // Stop any existing early warning
+    if (this.isEarlyWarningActive) {
+      this.log.info("🟡 New early warning interrupting existing early warning");
+      this.stopEarlyWarningPlayback();
+    }
+
+    this.log.info(
+      `🟡 EARLY WARNING TRIGGERED for areas: ${debouncedCities.join(", ")}`
+    );
+    this.logProximity(debouncedCities);
+    this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, {
+      cities: debouncedCities,
+    });
+    this.triggerEarlyWarning(debouncedCities, event);
+  }
+
+  // Exit notification handler (from Tzofar SYSTEM_MESSAGE)
+  handleExitNotification(systemMessage, origin = DEFAULT_ORIGIN) {
+    this.log.info(`🟢 Processing exit notification: ${systemMessage.titleHe}`);
+    const event = this.startHistoryEvent(
+      ALERT_TYPES.EXIT_NOTIFICATION,
+      systemMessage,
+      origin
+    );
+
+    // Use citiesIds for city matching
+    const citiesIds = systemMessage.citiesIds || [];
+
+    if (!Array.isArray(citiesIds) || citiesIds.length === 0) {
+      this.log.warn(
+        "⚠️ Exit notification message missing citiesIds array - cannot match cities"
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.INVALID);
+    }
+
+    // Get affected cities (including nationwide check)
+    const affectedCities = this.getAffectedCities(citiesIds);
+
+    event.cities = affectedCities;
+    if (affectedCities.length === 0) {
+      this.log.info(`🟢 Exit notification found but none for monitored cities`);
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.NO_MATCH);
+    }
+
+    // Release shelter sessions even when exit notification playback is off;
+    // a replay must never tell a real shelter it can leave
+    if (!event.simulated) {
+      this.releaseShelterSessions(affectedCities, "exit notification");
+    }
+
+    // Check if exit notifications are enabled and within time window
+    if (!this.isAlertTypeActive(ALERT_TYPES.EXIT_NOTIFICATION)) {
+      this.log.info("⏸️ Exit notifications disabled or outside time window");
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DISABLED);
+    }
+
+    // Apply debounce
+    const debouncedCities = affectedCities.filter((cityName) =>
+      this.canTriggerAlert(
+        ALERT_TYPES.EXIT_NOTIFICATION,
+        cityName,
+        event.simulated
+      )
+    );
+
+    if (debouncedCities.length === 0) {
+      this.log.info(
+        `🟢 Exit notification found for ${affectedCities.join(
+          ", "
+        )} but all are in debounce period`
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.DEBOUNCED);
+    }
+
+    // Primary alerts take priority over exit notifications
+    if (this.isAlertActive) {
+      this.log.info(
+        `🟢 Exit notification found but skipped (primary alert active)`
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.SUPPRESSED);
+    }
+
+    const { incident, grouped } = this.groupIncident(
+      ALERT_TYPES.EXIT_NOTIFICATION,
+      { simulated: event.simulated }
+    );
+    event.incident = incident.id;
+    if (grouped) {
+      this.joinIncident(
+        ALERT_TYPES.EXIT_NOTIFICATION,
+        debouncedCities,
+        incident
+      );
+      return this.finishHistoryEvent(event, HISTORY_OUTCOMES.GROUPED, {
+        cities: debouncedCities,
+      });
+    }
+
+    this.log.info(
+      `🟢 EXIT NOTIFICATION TRIGGERED for areas: ${debouncedCities.join(", ")}`
+    );
+    this.logProximity(debouncedCities);
+    this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, {
+      cities: debouncedCities,
+    });
+    this.triggerExitNotification(debouncedCities, event);
+  }
+
+  /**
+   * Merge user config for alerts with plugin defaults.
+   */
+  parseAlertsConfig(config) {
+    const alerts = config.alerts || {};
+    const result = {};
+    for (const type of [
+      ALERT_TYPES.EARLY_WARNING,
+      ALERT_TYPES.EXIT_NOTIFICATION,
+    ]) {
+      result[type] = Object.assign(
+        {},
+        DEFAULT_ALERTS_CONFIG[type],
+        alerts[type]
+      );
+    }
+    this.log.debug(
+      `⚙️ Parsed alert configs: ${JSON.stringify(result, null, 2)}`
+    );
+    return result;
+  }
+
+  /**
+   * Merge user config for each threat category with plugin defaults.
+   * Keyed by threat key (e.g. "earthquake"); numeric threat IDs are accepted too.
+   */
+  parseThreatsConfig(config) {
+    const threats = config.threats || {};
+    const result = {};
+    for (const [threatId, threat] of Object.entries(THREAT_ID_MAPPING)) {
+      result[threat.key] = Object.assign(
+        {},
+        DEFAULT_THREAT_CONFIG,
+        { enabled: !DISABLED_BY_DEFAULT_THREATS.includes(threat.key) },
+        threats[threatId],
+        threats[threat.key]
+      );
+    }
+    this.log.debug(
+      `⚙️ Parsed threat configs: ${JSON.stringify(result, null, 2)}`
+    );
+    return result;
+  }
+
+  /**
+   * Build the test scenarios: built-in ones from `testSwitches`, then the
+   * user's own `testScenarios`. Each gets a HomeKit switch.
+   */
+  parseTestScenarios(config) {
+    const switches = config.testSwitches || {};
+    const scenarios = [];
+
+    for (const alertType of switches.alertTypes || []) {
+      if (!TEST_SWITCH_LABELS[alertType]) {
+        this.log.warn(`⚠️ Unknown test switch alert type: ${alertType}`);
+        continue;
+      }
+      scenarios.push({
+        id: alertType,
+        name: `Test ${TEST_SWITCH_LABELS[alertType]}`,
+        steps: [{ alertType }],
+      });
+    }
+
+    for (const key of switches.threats || []) {
+      const threatId = resolveThreatId(key);
+      if (threatId === null) {
+        this.log.warn(`⚠️ Unknown test switch threat: ${key}`);
+        continue;
+      }
+      const threat = THREAT_ID_MAPPING[threatId];
+      scenarios.push({
+        id: `threat-${threat.key}`,
+        name: `Test ${threat.name}`,
+        steps: [{ alertType: ALERT_TYPES.PRIMARY, threat: threat.key }],
+      });
+    }
+
+    if (switches.shelterSequence) {
+      // Let each step finish playing before the next one starts
+      const gap = this.chromecastTimeout + 5;
+      scenarios.push({
+        id: "shelter-sequence",
+        name: "Test Shelter Sequence",
+        steps: [
+          { alertType: ALERT_TYPES.EARLY_WARNING },
+          { alertType: ALERT_TYPES.PRIMARY, delaySeconds: gap },
+          { alertType: ALERT_TYPES.EXIT_NOTIFICATION, delaySeconds: gap },
+        ],
+      });
+    }
+
+    for (const scenario of config.testScenarios || []) {
+      const steps = (scenario?.steps || []).filter((step) => {
+        const valid =
+          TEST_SWITCH_LABELS[step?.alertType] &&
+          (!step.threat || resolveThreatId(step.threat) !== null);
+        if (!valid) {
+          this.log.warn(
+            `⚠️ Ignoring invalid step in test scenario "${
+              scenario.name
+            }": ${JSON.stringify(step)}`
+          );
+        }
+        return valid;
+      });
+      if (!scenario?.name || steps.length === 0) {
+        this.log.warn("⚠️ Test scenario needs a name and at least one step");
+        continue;
+      }
+      // The id is also the switch subtype, so it has to be unique
+      const id = `scenario-${scenario.name
+        .trim()
+        .toLowerCase()
+        .replace(/\s+/g, "-")}`;
+      if (scenarios.some((existing) => existing.id === id)) {
+        this.log.warn(
+          `⚠️ Ignoring test scenario "${scenario.name}" - another scenario has the same name`
+        );
+        continue;
+      }
+      scenarios.push({ id, name: scenario.name, steps });
+    }
+
+    return scenarios;
+  }
+
+  /**
+   * Validate a language code, falling back to the household language.
+   */
+  parseLanguage(language, owner) {
+    if (!language) return this.language || DEFAULT_LANGUAGE;
+    if (LANGUAGES.includes(language)) return language;
+    this.log.warn(
+      `⚠️ Unknown language "${language}" for ${owner} - use one of ${LANGUAGES.join(
+        ", "
+      )}`
+    );
+    return this.language || DEFAULT_LANGUAGE;
+  }
+
+  /**
+   * Media sets per language: { ru: { alertVideoPath: "alert-ru.mp4", ... } }.
+   */
+  parseLanguageMedia(languageMedia) {
+    const result = {};
+    for (const set of Array.isArray(languageMedia) ? languageMedia : []) {
+      if (!LANGUAGES.includes(set?.language)) {
+        this.log.warn(
+          `⚠️ Ignoring media set with unknown language: ${set?.language}`
+        );
+        continue;
+      }
+      result[set.language] = set;
+    }
+    return result;
+  }
+
+  /**
+   * Manually configured Chromecast devices: `{ name, host, port }`.
+   */
+  parseStaticDevices(chromecastDevices) {
+    const result = [];
+    for (const entry of Array.isArray(chromecastDevices)
+      ? chromecastDevices
+      : []) {
+      const host = typeof entry?.host === "string" ? entry.host.trim() : "";
+      if (!host) {
+        this.log.warn(
+          `⚠️ Ignoring Chromecast device without a host: ${entry?.name}`
+        );
+        continue;
+      }
+      const port = Number.isInteger(entry.port) ? entry.port : CAST_PORT;
+      result.push({
+        name: entry.name || host,
+        host,
+        port,
+        // Groups listen on their own port; the flag overrides the guess
+        castGroup:
+          typeof entry.castGroup === "boolean"
+            ? entry.castGroup
+            : port !== CAST_PORT,
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Named device groups and ordered routing rules. Names are matched
+   * case-insensitively, like the per-device overrides.
+   */
+  parseRouting(config) {
+    const groups = {};
+    for (const group of Array.isArray(config.deviceGroups)
+      ? config.deviceGroups
+      : []) {
+      if (!group?.name || !Array.isArray(group.devices)) {
+        this.log.warn(`⚠️ Ignoring device group without name or devices`);
+        continue;
+      }
+      groups[group.name.toLowerCase()] = group.devices.map((name) =>
+        String(name).toLowerCase()
+      );
+    }
+
+    const rules = [];
+    (Array.isArray(config.routing) ? config.routing : []).forEach(
+      (rule, index) => {
+        const name = rule?.name || `rule ${index + 1}`;
+        if (!Object.values(ROUTING_ACTIONS).includes(rule?.action)) {
+          this.log.warn(
+            `⚠️ Ignoring routing ${name}: unknown action ${rule?.action}`
+          );
+          return;
+        }
+        const list = (value) =>
+          Array.isArray(value) && value.length > 0 ? value : null;
+        const threats = list(rule.threats);
+        const unknownThreat = threats?.find(
+          (key) => resolveThreatId(key) === null
+        );
+        if (unknownThreat) {
+          this.log.warn(
+            `⚠️ Routing ${name}: unknown threat ${unknownThreat} ignored`
+          );
+        }
+        rules.push({
+          name,
+          action: rule.action,
+          alertTypes: list(rule.alertTypes),
+          threats: threats?.filter((key) => resolveThreatId(key) !== null),
+          startHour: rule.startHour,
+          endHour: rule.endHour,
+          profiles: list(rule.profiles),
+          volume:
+            Number.isInteger(rule.volume) &&
+            rule.volume >= 0 &&
+            rule.volume <= 100
+              ? rule.volume
+              : null,
+          targets: (rule.targets || []).map((target) =>
+            String(target).toLowerCase()
+          ),
+        });
+      }
+    );
+    if (rules.length > 0) {
+      this.log.info(
+        `🧭 Routing: ${rules.length} rule(s), ${
+          Object.keys(groups).length
+        } device group(s)`
+      );
+    }
+    return { groups, rules };
+  }
+
+  /**
+   * Active quiet profile of a device (from its `chromecastVolumes` entry), or null.
+   */
+  getDeviceQuietProfile(device) {
+    const override = this.deviceOverrides[device.friendlyName.toLowerCase()];
+    return this.schedules.firstActive(override?.quietProfiles);
+  }
+
+  /**
+   * Force a schedule profile on or off (HomeKit mode switch or API).
+   */
+  setProfileForced(name, on, source = "api") {
+    if (!this.schedules.setForced(name, on)) return false;
+    this.log.info(
+      `🗓️ Profile ${name} ${
+        on ? "forced on" : "back to its schedule"
+      } (${source})`
+    );
+    this.updateModeSwitch(name);
+    this.scheduleStateSave();
+    return true;
+  }
+
+  updateModeSwitch(name) {
+    const service = this.modeSwitchServices?.[String(name).toLowerCase()];
+    if (service) {
+      service.updateCharacteristic(
+        Characteristic.On,
+        this.schedules.isForced(name)
+      );
+    }
+  }
+
+  /**
+   * Device groups (by configured name) that list the device.
+   */
+  getDeviceGroups(device) {
+    const name = device.friendlyName.toLowerCase();
+    return Object.entries(this.routing.groups)
+      .filter(([, members]) => members.includes(name))
+      .map(([group]) => group);
+  }
+
+  /**
+   * Whether a routing rule's targets include the device. No targets means
+   * every device except cast groups.
+   */
+  isRouteTarget(device, targets) {
+    const castGroup = isCastGroup(device);
+    if (targets.length === 0) return !castGroup;
+    const name = device.friendlyName.toLowerCase();
+    return targets.some(
+      (target) =>
+        target === ROUTE_TARGETS.ALL ||
+        (target === ROUTE_TARGETS.CAST_GROUPS && castGroup) ||
+        target === name ||
+        this.routing.groups[target]?.includes(name)
+    );
+  }
+
+  /**
+   * The first rule matching the alert and device decides; without one, every
+   * device except cast groups plays. Returns `{ play, rule }`; a playing
+   * device uses the rule's volume when it sets one.
+   */
+  routeDevice(alertType, threat, device) {
+    const now = new Date();
+    const { hour } = zonedTime(now, this.schedules.timeZone);
+    for (const rule of this.routing.rules) {
+      if (rule.alertTypes && !rule.alertTypes.includes(alertType)) continue;
+      if (rule.threats && !rule.threats.includes(threat?.key)) continue;
+      if (rule.profiles && !this.schedules.firstActive(rule.profiles, now)) {
+        continue;
+      }
+      if (
+        typeof rule.startHour === "number" &&
+        typeof rule.endHour === "number" &&
+        !hourInWindow(hour, rule.startHour, rule.endHour)
+      ) {
+        continue;
+      }
+      const targeted = this.isRouteTarget(device, rule.targets);
+      if (rule.action === ROUTING_ACTIONS.ONLY) return { play: targeted, rule };
+      if (targeted) return { play: rule.action === ROUTING_ACTIONS.PLAY, rule };
+    }
+    return { play: !isCastGroup(device), rule: null };
+  }
+
+  /**
+   * Parse per-device, per-alert volume overrides from user config.
+   */
+  parseDeviceOverrides(chromecastVolumes) {
+    const result = {};
+    (chromecastVolumes || []).forEach((dev) => {
+      if (!dev.deviceName) return;
+      const devKey = dev.deviceName.toLowerCase();
+      result[devKey] = {
+        volume: dev.volume,
+        quietProfiles: Array.isArray(dev.quietProfiles)
+          ? dev.quietProfiles
+          : [],
+        language: dev.language
+          ? this.parseLanguage(dev.language, dev.deviceName)
+          : null,
+        alerts: {},
+      };
+      if (typeof dev.alerts === "object" && dev.alerts !== null) {
+        for (const type of [
+          ALERT_TYPES.EARLY_WARNING,
+          ALERT_TYPES.EXIT_NOTIFICATION,
+        ]) {
+          if (dev.alerts[type] && typeof dev.alerts[type].volume === "number") {
+            result[devKey].alerts[type] = { volume: dev.alerts[type].volume };
+          }
+        }
+      }
+    });
+    this.log.debug(
+      `⚙️ Parsed device overrides: ${JSON.stringify(result, null, 2)}`
+    );
+    return result;
+  }
+
+  /**
+   * Locations with their own sensors. Platform mode defaults to one per monitored city.
+   */
+  parseLocations(config) {
+    if (Array.isArray(config.locations) && config.locations.length > 0) {
+      return config.locations
+        .filter((location) => {
+          if (
+            !location.name ||
+            (!Array.isArray(location.cities) && !Array.isArray(location.areas))
+          ) {
+            this.log.warn(
+              `⚠️ Ignoring location without name or cities: ${JSON.stringify(
+                location
+              )}`
+            );
+            return false;
+          }
+          return true;
+        })
+        .map((location) => ({
+          name: location.name,
+          cities: Array.isArray(location.cities) ? [...location.cities] : [],
+          areas: Array.isArray(location.areas) ? location.areas : [],
+          active: {},
+          services: {},
+        }));
+    }
+    if (!this.platform || !Array.isArray(config.cities)) return [];
+    return config.cities.map((city) => ({
+      name: city,
+      cities: [city],
+      active: {},
+      services: {},
+    }));
+  }
+
+  /**
+   * Create the main HomeKit services. `provideService(type, displayName, subtype)`
+   * returns a new service in accessory mode or a cached one in platform mode.
+   */
+  createServices(provideService) {
+    this.service = provideService(
+      Service.ContactSensor,
+      this.name,
+      this.platform ? "primary" : undefined
+    );
+    this.testSwitchService = provideService(
+      Service.Switch,
+      `${this.name} Test`,
+      "test"
+    );
+    this.testSwitchService
+      .getCharacteristic(Characteristic.On)
+      .on("set", this.handleTestSwitch.bind(this));
+    this.testScenarioServices = {};
+    for (const scenario of this.testScenarios) {
+      const service = provideService(
+        Service.Switch,
+        `${this.name} ${scenario.name}`,
+        `test-${scenario.id}`
+      );
+      service
+        .getCharacteristic(Characteristic.On)
+        .on("get", (callback) =>
+          callback(null, this.runningScenarios.has(scenario.id))
+        )
+        .on("set", (on, callback) => {
+          if (on) {
+            this.runScenario(scenario, "homekit");
+          } else {
+            this.stopScenario(scenario.id);
+          }
+          callback(null);
+        });
+      this.testScenarioServices[scenario.id] = service;
+    }
+    this.modeSwitchServices = {};
+    for (const profile of this.schedules.profiles.values()) {
+      if (!profile.switch) continue;
+      const service = provideService(
+        Service.Switch,
+        `${this.name} ${profile.name} Mode`,
+        `mode-${profile.key.replace(/\s+/g, "-")}`
+      );
+      service
+        .getCharacteristic(Characteristic.On)
+        .on("get", (callback) =>
+          callback(null, this.schedules.isForced(profile.key))
+        )
+        .on("set", (on, callback) => {
+          this.setProfileForced(profile.key, on, "homekit");
+          callback(null);
+        });
+      this.modeSwitchServices[profile.key] = service;
+    }
+    this.earlyWarningService = provideService(
+      Service.ContactSensor,
+      `${this.name} Early Warning`,
+      "early-warning"
+    );
+    this.exitNotificationService = provideService(
+      Service.ContactSensor,
+      `${this.name} Exit Notification`,
+      "exit-notification"
+    );
+
+    this.service
+      .getCharacteristic(Characteristic.ContactSensorState)
+      .on("get", this.getAlertState.bind(this));
+    this.earlyWarningService
+      .getCharacteristic(Characteristic.ContactSensorState)
+      .on("get", this.getEarlyWarningState.bind(this));
+    this.exitNotificationService
+      .getCharacteristic(Characteristic.ContactSensorState)
+      .on("get", this.getExitNotificationState.bind(this));
+
+    this.threatServices = {};
+    for (const threat of Object.values(THREAT_ID_MAPPING)) {
+      if (!this.threatsConfig[threat.key].sensor) continue;
+      const service = provideService(
+        Service.ContactSensor,
+        `${this.name} ${threat.name}`,
+        `threat-${threat.key}`
+      );
+      service
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .on("get", (callback) =>
+          callback(
+            null,
+            this.activeThreats.has(threat.key)
+              ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+              : Characteristic.ContactSensorState.CONTACT_DETECTED
+          )
+        );
+      this.threatServices[threat.key] = service;
+    }
+
+    this.threatLevelService = null;
+    if (this.threatLevelSensor) {
+      this.threatLevelService = provideService(
+        Service.LightSensor,
+        `${this.name} Threat Level`,
+        "threat-level"
+      );
+      this.threatLevelService
+        .getCharacteristic(Characteristic.CurrentAmbientLightLevel)
+        .on("get", (callback) =>
+          callback(null, threatLevel(this.alertActiveThreat))
+        );
+      this.threatLevelService.updateCharacteristic(
+        Characteristic.CurrentAmbientLightLevel,
+        NO_THREAT_LEVEL
+      );
+    }
+
+    this.stayInShelterService = null;
+    if (this.shelterSessionConfig.sensor) {
+      this.stayInShelterService = provideService(
+        Service.OccupancySensor,
+        `${this.name} Stay in Shelter`,
+        "stay-in-shelter"
+      );
+      this.stayInShelterService
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .on("get", (callback) =>
+          callback(
+            null,
+            this.isInShelter()
+              ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+              : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED
+          )
+        );
+    }
 
-    // Primary alerts take priority over exit notifications
-    if (this.isAlertActive) {
-      this.log.info(
-        `🟢 Exit notification found but skipped (primary alert active)`
+    this.feedHealthService = null;
+    if (this.healthConfig.sensor) {
+      // Contact closed while healthy, open (and StatusFault) when blind
+      this.feedHealthService = provideService(
+        Service.ContactSensor,
+        `${this.name} Feed Healthy`,
+        "feed-health"
       );
-      return;
+      this.feedHealthService
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .on("get", (callback) =>
+          callback(
+            null,
+            this.feedHealthy
+              ? Characteristic.ContactSensorState.CONTACT_DETECTED
+              : Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+          )
+        );
     }
 
-    this.log.info(
-      `🟢 EXIT NOTIFICATION TRIGGERED for areas: ${debouncedCities.join(", ")}`
-    );
-    this.triggerExitNotification(debouncedCities);
+    this.shelterTimerService = null;
+    this.shelterExpiredService = null;
+    if (this.shelterTimerConfig.enabled) {
+      // A generic valve is the only service the Home app shows a countdown for
+      this.shelterTimerService = provideService(
+        Service.Valve,
+        `${this.name} Shelter Timer`,
+        "shelter-timer"
+      );
+      this.shelterTimerService.setCharacteristic(
+        Characteristic.ValveType,
+        Characteristic.ValveType.GENERIC_VALVE
+      );
+      this.shelterTimerService
+        .getCharacteristic(Characteristic.Active)
+        .on("get", (callback) =>
+          callback(
+            null,
+            this.shelterTimer
+              ? Characteristic.Active.ACTIVE
+              : Characteristic.Active.INACTIVE
+          )
+        )
+        .on("set", (value, callback) => {
+          // Read-only in practice: revert manual changes
+          callback(null);
+          setTimeout(() => this.updateShelterTimerService(), 100);
+        });
+      this.shelterTimerService
+        .getCharacteristic(Characteristic.RemainingDuration)
+        .on("get", (callback) =>
+          callback(null, this.getShelterTimeRemaining())
+        );
+
+      this.shelterExpiredService = provideService(
+        Service.ContactSensor,
+        `${this.name} Shelter Time Expired`,
+        "shelter-expired"
+      );
+      this.shelterExpiredService
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .on("get", (callback) =>
+          callback(
+            null,
+            this.shelterTimeExpired
+              ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+              : Characteristic.ContactSensorState.CONTACT_DETECTED
+          )
+        );
+    }
   }
 
   /**
-   * Merge user config for alerts with plugin defaults.
+   * Primary, early warning and exit sensors for a single location.
    */
-  parseAlertsConfig(config) {
-    const alerts = config.alerts || {};
-    const result = {};
-    for (const type of [
-      ALERT_TYPES.EARLY_WARNING,
-      ALERT_TYPES.EXIT_NOTIFICATION,
-    ]) {
-      result[type] = Object.assign(
-        {},
-        DEFAULT_ALERTS_CONFIG[type],
-        alerts[type]
+  createLocationServices(location, provideService) {
+    const sensors = {
+      [ALERT_TYPES.PRIMARY]: location.name,
+      [ALERT_TYPES.EARLY_WARNING]: `${location.name} Early Warning`,
+      [ALERT_TYPES.EXIT_NOTIFICATION]: `${location.name} Exit Notification`,
+    };
+    for (const [alertType, displayName] of Object.entries(sensors)) {
+      const service = provideService(
+        Service.ContactSensor,
+        displayName,
+        `${alertType}-${location.name}`
       );
+      service
+        .getCharacteristic(Characteristic.ContactSensorState)
+        .on("get", (callback) =>
+          callback(
+            null,
+            location.active[alertType]
+              ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+              : Characteristic.ContactSensorState.CONTACT_DETECTED
+          )
+        );
+      location.services[alertType] = service;
+    }
+
+    if (this.shelterSessionConfig.sensor) {
+      location.stayInShelterService = provideService(
+        Service.OccupancySensor,
+        `${location.name} Stay in Shelter`,
+        `stay-in-shelter-${location.name}`
+      );
+      location.stayInShelterService
+        .getCharacteristic(Characteristic.OccupancyDetected)
+        .on("get", (callback) =>
+          callback(
+            null,
+            this.isInShelter(location.cities)
+              ? Characteristic.OccupancyDetected.OCCUPANCY_DETECTED
+              : Characteristic.OccupancyDetected.OCCUPANCY_NOT_DETECTED
+          )
+        );
     }
-    this.log.debug(
-      `⚙️ Parsed alert configs: ${JSON.stringify(result, null, 2)}`
-    );
-    return result;
   }
 
   /**
-   * Parse per-device, per-alert volume overrides from user config.
+   * Update the sensors of every location containing one of `cities`.
+   * Passing `null` as cities applies to all locations (used on reset).
    */
-  parseDeviceOverrides(chromecastVolumes) {
-    const result = {};
-    (chromecastVolumes || []).forEach((dev) => {
-      if (!dev.deviceName) return;
-      const devKey = dev.deviceName.toLowerCase();
-      result[devKey] = {
-        volume: dev.volume,
-        alerts: {},
-      };
-      if (typeof dev.alerts === "object" && dev.alerts !== null) {
-        for (const type of [
-          ALERT_TYPES.EARLY_WARNING,
-          ALERT_TYPES.EXIT_NOTIFICATION,
-        ]) {
-          if (dev.alerts[type] && typeof dev.alerts[type].volume === "number") {
-            result[devKey].alerts[type] = { volume: dev.alerts[type].volume };
-          }
-        }
+  setLocationAlertState(alertType, cities, active) {
+    for (const location of this.locations) {
+      if (
+        cities !== null &&
+        !location.cities.some((city) => cities.includes(city))
+      ) {
+        continue;
       }
-    });
-    this.log.debug(
-      `⚙️ Parsed device overrides: ${JSON.stringify(result, null, 2)}`
-    );
-    return result;
+      if (!!location.active[alertType] === active) continue;
+      location.active[alertType] = active;
+      this.log.debug(
+        `📍 Location ${location.name}: ${alertType} ${
+          active ? "active" : "cleared"
+        }`
+      );
+      const service = location.services[alertType];
+      if (service) {
+        service.updateCharacteristic(
+          Characteristic.ContactSensorState,
+          active
+            ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+            : Characteristic.ContactSensorState.CONTACT_DETECTED
+        );
+      }
+    }
   }
 
   /**
-   * Homebridge services: ContactSensors for each alert type + test Switch.
+   * Homebridge services (accessory mode): ContactSensors for each alert type + test Switch.
    */
   getServices() {
     const informationService = new Service.AccessoryInformation()
@@ -862,25 +5343,53 @@ class RedAlertPlugin {
       .setCharacteristic(Characteristic.Model, "Red Alert Tzofar")
       .setCharacteristic(Characteristic.SerialNumber, "4.0.1");
 
-    this.service
-      .getCharacteristic(Characteristic.ContactSensorState)
-      .on("get", this.getAlertState.bind(this));
-    this.earlyWarningService
-      .getCharacteristic(Characteristic.ContactSensorState)
-      .on("get", this.getEarlyWarningState.bind(this));
-    this.exitNotificationService
-      .getCharacteristic(Characteristic.ContactSensorState)
-      .on("get", this.getExitNotificationState.bind(this));
-
     return [
       informationService,
       this.service,
       this.testSwitchService,
       this.earlyWarningService,
       this.exitNotificationService,
+      ...Object.values(this.testScenarioServices),
+      ...Object.values(this.modeSwitchServices),
+      ...Object.values(this.threatServices),
+      ...[
+        this.threatLevelService,
+        this.stayInShelterService,
+        this.feedHealthService,
+        this.shelterTimerService,
+        this.shelterExpiredService,
+      ].filter(Boolean),
+      ...this.locations.flatMap((location) => [
+        ...Object.values(location.services),
+        ...(location.stayInShelterService
+          ? [location.stayInShelterService]
+          : []),
+      ]),
     ];
   }
 
+  updateThreatSensor(threat, active) {
+    const service = threat && this.threatServices[threat.key];
+    if (!service) return;
+    service.updateCharacteristic(
+      Characteristic.ContactSensorState,
+      active
+        ? Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+        : Characteristic.ContactSensorState.CONTACT_DETECTED
+    );
+  }
+
+  /**
+   * Threat level light sensor: 1 (least severe) to 10, minimum when idle.
+   */
+  updateThreatLevel() {
+    if (!this.threatLevelService) return;
+    this.threatLevelService.updateCharacteristic(
+      Characteristic.CurrentAmbientLightLevel,
+      threatLevel(this.alertActiveThreat)
+    );
+  }
+
   getAlertState(callback) {
     callback(
       null,
@@ -928,8 +5437,21 @@ class RedAlertPlugin {
       Characteristic.ContactSensorState,
       Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
     );
+    this.setLocationAlertState(
+      ALERT_TYPES.PRIMARY,
+      this.alertActiveCities,
+      true
+    );
+    const event = this.startHistoryEvent(ALERT_TYPES.TEST, null);
+    this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, {
+      cities: this.alertActiveCities,
+    });
+    this.publishEvent(ALERT_TYPES.TEST, {
+      cities: this.alertActiveCities,
+      event,
+    });
     if (this.useChromecast) {
-      this.playChromecastMedia(ALERT_TYPES.TEST);
+      this.playChromecastMedia(ALERT_TYPES.TEST, null, event);
     }
     setTimeout(() => {
       this.isAlertActive = false;
@@ -939,6 +5461,7 @@ class RedAlertPlugin {
         Characteristic.ContactSensorState,
         Characteristic.ContactSensorState.CONTACT_DETECTED
       );
+      this.setLocationAlertState(ALERT_TYPES.PRIMARY, null, false);
     }, 10000);
   }
 
@@ -952,8 +5475,8 @@ class RedAlertPlugin {
 
       // Clean up debounce entries older than 2 hours
       let debounceCleaned = 0;
-      for (const [key, timestamp] of this.alertDebounce) {
-        if (timestamp < cutoff) {
+      for (const [key, entry] of this.alertDebounce) {
+        if (entry.at < cutoff) {
           this.alertDebounce.delete(key);
           debounceCleaned++;
         }
@@ -961,20 +5484,33 @@ class RedAlertPlugin {
       if (debounceCleaned) {
         this.log.debug(`🧹 Cleaned up ${debounceCleaned} debounce entries`);
       }
+      for (const [key, entry] of this.sourceDedupe) {
+        if (entry.timestamp < cutoff) this.sourceDedupe.delete(key);
+      }
 
-      // Clean up last alert type tracking older than 24 hours
-      const alertCutoff = Date.now() - 24 * 60 * 60 * 1000;
-      let alertTypeCleaned = 0;
-      for (const [city, alertInfo] of this.lastAlertTypePerCity) {
-        if (alertInfo.timestamp < alertCutoff) {
-          this.lastAlertTypePerCity.delete(city);
-          alertTypeCleaned++;
+      // Clean up released shelter sessions older than 24 hours
+      const sessionCutoff = Date.now() - 24 * 60 * 60 * 1000;
+      let sessionsCleaned = 0;
+      for (const [city, session] of this.shelterSessions) {
+        if (
+          session.state === SHELTER_SESSION_STATES.RELEASED &&
+          session.updatedAt < sessionCutoff
+        ) {
+          this.shelterSessions.delete(city);
+          sessionsCleaned++;
         }
       }
-      if (alertTypeCleaned) {
-        this.log.debug(
-          `🧹 Cleaned up ${alertTypeCleaned} alert type tracking entries`
-        );
+      if (sessionsCleaned) {
+        this.log.debug(`🧹 Cleaned up ${sessionsCleaned} shelter sessions`);
+      }
+
+      // Drop history files past the retention period
+      if (this.history) {
+        this.history
+          .prune()
+          .catch((error) =>
+            this.log.warn(`⚠️ History cleanup failed: ${error.message}`)
+          );
       }
     }, 3600000);
   }
@@ -997,40 +5533,32 @@ class RedAlertPlugin {
 
     // Check time restrictions if configured
     if (typeof cfg.startHour === "number" && typeof cfg.endHour === "number") {
-      const now = new Date();
-      const israelTime = new Date(
-        now.toLocaleString("en-US", { timeZone: "Asia/Jerusalem" })
-      );
-      const currentHour = israelTime.getHours();
-
-      // Handle overnight ranges (e.g., 22-6)
-      let isInTimeWindow;
-      if (cfg.startHour <= cfg.endHour) {
-        // Same day range (e.g., 8-22)
-        isInTimeWindow =
-          currentHour >= cfg.startHour && currentHour <= cfg.endHour;
-      } else {
-        // Overnight range (e.g., 22-6)
-        isInTimeWindow =
-          currentHour >= cfg.startHour || currentHour <= cfg.endHour;
-      }
-
-      if (!isInTimeWindow) {
+      const currentHour = zonedTime(new Date(), this.schedules.timeZone).hour;
+      if (!hourInWindow(currentHour, cfg.startHour, cfg.endHour)) {
         this.log.info(
-          `⏰ Alert type ${type} outside time window (${cfg.startHour}-${cfg.endHour}), current hour: ${currentHour} (Israel time)`
+          `⏰ Alert type ${type} outside time window (${cfg.startHour}-${cfg.endHour}), current hour: ${currentHour} (${this.schedules.timeZone})`
         );
         return false;
       }
 
       this.log.debug(
-        `⏰ Alert type ${type} within time window (${cfg.startHour}-${cfg.endHour}), current hour: ${currentHour} (Israel time)`
+        `⏰ Alert type ${type} within time window (${cfg.startHour}-${cfg.endHour}), current hour: ${currentHour} (${this.schedules.timeZone})`
       );
     }
 
+    // Quiet-hour profiles (night, Shabbat, away) mute the whole alert type
+    const quietProfile = this.schedules.firstActive(cfg.quietProfiles);
+    if (quietProfile) {
+      this.log.info(
+        `🌙 Alert type ${type} muted by schedule profile ${quietProfile}`
+      );
+      return false;
+    }
+
     return true;
   }
 
-  triggerEarlyWarning(cities) {
+  triggerEarlyWarning(cities, event = null) {
     this.log.info(`🟡 EARLY WARNING ALERT TRIGGERED`);
     this.log.info(`📍 Cities: ${cities.join(", ")}`);
     this.log.info(
@@ -1045,16 +5573,18 @@ class RedAlertPlugin {
       Characteristic.ContactSensorState,
       Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
     );
+    this.setLocationAlertState(ALERT_TYPES.EARLY_WARNING, cities, true);
+    this.publishEvent(ALERT_TYPES.EARLY_WARNING, { cities, event });
 
     if (this.useChromecast) {
-      this.playChromecastMedia(ALERT_TYPES.EARLY_WARNING);
+      this.playChromecastMedia(ALERT_TYPES.EARLY_WARNING, null, event);
     }
 
     // Auto-reset timer
     setTimeout(() => this.resetEarlyWarning(), this.chromecastTimeout * 1000);
   }
 
-  triggerExitNotification(cities) {
+  triggerExitNotification(cities, event = null) {
     this.log.info(`🟢 EXIT NOTIFICATION TRIGGERED`);
     this.log.info(`📍 Cities: ${cities.join(", ")}`);
     this.log.info(
@@ -1069,9 +5599,11 @@ class RedAlertPlugin {
       Characteristic.ContactSensorState,
       Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
     );
+    this.setLocationAlertState(ALERT_TYPES.EXIT_NOTIFICATION, cities, true);
+    this.publishEvent(ALERT_TYPES.EXIT_NOTIFICATION, { cities, event });
 
     if (this.useChromecast) {
-      this.playChromecastMedia(ALERT_TYPES.EXIT_NOTIFICATION);
+      this.playChromecastMedia(ALERT_TYPES.EXIT_NOTIFICATION, null, event);
     }
 
     // Auto-reset timer
@@ -1083,15 +5615,18 @@ class RedAlertPlugin {
 
   stopEarlyWarningPlayback() {
     this.log.info("🛑 Stopping early warning playback");
+    this.castSessions.supersede(ALERT_TYPES.EARLY_WARNING);
     this.resetEarlyWarning();
   }
 
   stopExitNotificationPlayback() {
     this.log.info("🛑 Stopping exit notification playback");
+    this.castSessions.supersede(ALERT_TYPES.EXIT_NOTIFICATION);
     this.resetExitNotification();
   }
 
   resetEarlyWarning() {
+    this.endIncident(ALERT_TYPES.EARLY_WARNING);
     if (this.isEarlyWarningActive) {
       this.log.info("🔄 Resetting early warning state");
       this.isEarlyWarningActive = false;
@@ -1100,10 +5635,12 @@ class RedAlertPlugin {
         Characteristic.ContactSensorState,
         Characteristic.ContactSensorState.CONTACT_DETECTED
       );
+      this.setLocationAlertState(ALERT_TYPES.EARLY_WARNING, null, false);
     }
   }
 
   resetExitNotification() {
+    this.endIncident(ALERT_TYPES.EXIT_NOTIFICATION);
     if (this.isExitNotificationActive) {
       this.log.info("🔄 Resetting exit notification state");
       this.isExitNotificationActive = false;
@@ -1112,13 +5649,109 @@ class RedAlertPlugin {
         Characteristic.ContactSensorState,
         Characteristic.ContactSensorState.CONTACT_DETECTED
       );
+      this.setLocationAlertState(ALERT_TYPES.EXIT_NOTIFICATION, null, false);
+    }
+  }
+
+  /**
+   * Media URL for a primary threat: its own file if configured, else the alert video.
+   */
+  getThreatMediaUrl(threat, language = this.language) {
+    if (threat && this.threatsConfig[threat.key]?.mediaFile) {
+      return this.getMediaUrl(`/threat-video/${threat.key}`);
+    }
+    return this.getMediaUrl(this.localizeRoute("/alert-video", language));
+  }
+
+  /**
+   * Media route of the language's media set (e.g. /ru/alert-video), if it has one.
+   */
+  localizeRoute(route, language) {
+    return this.languageMedia[language] ? `/${language}${route}` : route;
+  }
+
+  getShelterDeviceConfig(device) {
+    return (this.shelterInstructions.devices || []).find(
+      (s) =>
+        s.deviceName &&
+        device.friendlyName &&
+        s.deviceName.trim().toLowerCase() ===
+          device.friendlyName.trim().toLowerCase() &&
+        s.enabled !== false
+    );
+  }
+
+  /**
+   * Language of a device: its shelter or volume override, else the household's.
+   */
+  getDeviceLanguage(device, shelterCfg = null) {
+    if (shelterCfg?.language) {
+      return this.parseLanguage(shelterCfg.language, device.friendlyName);
+    }
+    const override =
+      this.deviceOverrides[(device.friendlyName || "").toLowerCase()];
+    return override?.language || this.language;
+  }
+
+  /**
+   * Absolute media URL for a Chromecast, signed with a short expiry when enabled.
+   */
+  getMediaUrl(route) {
+    if (!this.serverConfig.signMediaUrls) {
+      return `${this.baseUrl}${route}`;
     }
+    const expires =
+      Math.floor(Date.now() / 1000) + this.serverConfig.mediaUrlTtlSeconds;
+    const sig = this.signMediaPath(route, expires);
+    return `${this.baseUrl}${route}?expires=${expires}&sig=${sig}`;
+  }
+
+  signMediaPath(route, expires) {
+    return crypto
+      .createHmac("sha256", this.mediaUrlSecret)
+      .update(`${route}:${expires}`)
+      .digest("hex");
+  }
+
+  isValidMediaSignature(req) {
+    const { expires, sig } = req.query;
+    if (typeof expires !== "string" || typeof sig !== "string") return false;
+    if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+    return safeEqual(sig, this.signMediaPath(req.path, expires));
+  }
+
+  /**
+   * Token from the Authorization: Bearer header, X-API-Token header or ?token= query.
+   */
+  hasValidToken(req) {
+    const token = this.serverConfig.apiToken;
+    if (!token) return false;
+    // Works on raw http requests too (WebSocket upgrades bypass Express)
+    const auth = req.headers.authorization || "";
+    const provided = auth.startsWith("Bearer ")
+      ? auth.slice(7)
+      : req.headers["x-api-token"] ||
+        new URL(req.url, "http://localhost").searchParams.get("token");
+    return typeof provided === "string" && safeEqual(provided, token);
+  }
+
+  isAllowedIp(ip) {
+    const rules = this.serverConfig.allowedIps;
+    if (rules.length === 0) return true;
+    const address = normalizeIp(ip);
+    if (LOOPBACK_ADDRESSES.includes(address)) return true;
+    if (rules.some((rule) => ipMatchesRule(address, rule))) return true;
+    // Discovered Chromecasts must always be able to fetch their media
+    return (
+      this.serverConfig.allowChromecastDevices &&
+      this.devices.some((device) => normalizeIp(device.host) === address)
+    );
   }
 
   /**
    * More reliable Chromecast playback implementation based on the older version
    */
-  playChromecastMedia(alertType) {
+  playChromecastMedia(alertType, threat = null, event = null) {
     try {
       this.log.info(`🎵 Playing ${alertType} on Chromecast devices`);
 
@@ -1143,19 +5776,49 @@ class RedAlertPlugin {
         return;
       }
 
+      // Routing rules decide which devices get this alert, and maybe its volume
+      const routeVolumes = new Map();
+      const routedDevices = validDevices.filter((device) => {
+        const quietProfile =
+          alertType !== ALERT_TYPES.PRIMARY &&
+          this.getDeviceQuietProfile(device);
+        if (quietProfile) {
+          this.log.info(
+            `🌙 Skipping ${alertType} on ${device.friendlyName} (schedule profile ${quietProfile})`
+          );
+          this.recordPlayback(event, device, {
+            status: "skipped-quiet",
+            profile: quietProfile,
+          });
+          return false;
+        }
+        const { play, rule } = this.routeDevice(alertType, threat, device);
+        if (!play) {
+          this.log.info(
+            `🧭 Skipping ${alertType} on ${device.friendlyName} (${
+              rule ? `routing ${rule.name}` : "cast group"
+            })`
+          );
+          this.recordPlayback(event, device, {
+            status: "skipped-routing",
+            rule: rule?.name,
+          });
+        } else if (rule?.volume !== null && rule?.volume !== undefined) {
+          routeVolumes.set(device, rule.volume);
+        }
+        return play;
+      });
+      if (!routedDevices.length) {
+        this.log.info(`🧭 No Chromecast device routed for ${alertType}`);
+        return;
+      }
+
       // Separate shelter and regular devices
       const shelterDevices = [];
       const regularDevices = [];
 
-      validDevices.forEach((device) => {
-        const shelterCfg = (this.shelterInstructions.devices || []).find(
-          (s) =>
-            s.deviceName &&
-            device.friendlyName &&
-            s.deviceName.trim().toLowerCase() ===
-              device.friendlyName.trim().toLowerCase() &&
-            s.enabled !== false
-        );
+      routedDevices.forEach((device) => {
+        const shelterCfg = this.getShelterDeviceConfig(device);
 
         if (shelterCfg) {
           shelterDevices.push({ device, config: shelterCfg });
@@ -1166,24 +5829,72 @@ class RedAlertPlugin {
         }
       });
 
+      // Spoken announcement per language, shared by the devices that use it
+      const cities = event?.cities?.length
+        ? event.cities
+        : alertType === ALERT_TYPES.EARLY_WARNING
+        ? this.earlyWarningActiveCities
+        : alertType === ALERT_TYPES.EXIT_NOTIFICATION
+        ? this.exitNotificationActiveCities
+        : this.alertActiveCities;
+      const announcements = new Map();
+      const announcementFor = (language) => {
+        if (!this.announcer.appliesTo(alertType)) return null;
+        if (!announcements.has(language)) {
+          const { title, body } = this.describeAlert(alertType, cities, {
+            threat,
+            language,
+          });
+          announcements.set(
+            language,
+            this.announcer.announce(`${title}. ${body}`, language)
+          );
+        }
+        return announcements.get(language);
+      };
+
+      // Tests always play and leave cooldowns alone; simulations keep their own
+      const cooldownKey = (type) =>
+        event?.simulated ? `simulated-${type}` : type;
+      const markPlayed = (device, type) => {
+        if (!event?.test) {
+          this.markShelterInstructionsPlayed(
+            device.friendlyName,
+            cooldownKey(type)
+          );
+        }
+      };
+
+      const threatConfig = threat ? this.threatsConfig[threat.key] : null;
+
       // Process shelter devices
       shelterDevices.forEach(({ device, config }) => {
+        const language = this.getDeviceLanguage(device, config);
+        const mediaUrlFor = (route) =>
+          this.getMediaUrl(this.localizeRoute(route, language));
         let mediaUrl,
           volume,
           shouldPlay = true;
 
         // Check cooldown for early warnings only
-        if (alertType === ALERT_TYPES.EARLY_WARNING) {
+        if (alertType === ALERT_TYPES.EARLY_WARNING && !event?.test) {
           if (
-            !this.canPlayShelterInstructions(device.friendlyName, alertType)
+            !this.canPlayShelterInstructions(
+              device.friendlyName,
+              cooldownKey(alertType)
+            )
           ) {
             this.log.info(
               `🏠 Skipping ${alertType} on ${device.friendlyName} - cooldown active (${this.shelterInstructions.minIntervalMinutes} min)`
             );
+            this.recordPlayback(event, device, {
+              shelter: true,
+              status: "skipped-cooldown",
+            });
             shouldPlay = false;
             return;
           } else {
-            this.markShelterInstructionsPlayed(device.friendlyName, alertType);
+            markPlayed(device, alertType);
             this.log.info(
               `🏠 Cooldown OK for ${alertType} on ${device.friendlyName}`
             );
@@ -1193,27 +5904,32 @@ class RedAlertPlugin {
         if (shouldPlay) {
           switch (alertType) {
             case ALERT_TYPES.PRIMARY:
-              mediaUrl = `${this.baseUrl}/shelter-instructions-primary`;
-              volume = config.volumes?.primary || 50;
-              this.markShelterInstructionsPlayed(
-                device.friendlyName,
-                "primary"
-              );
+              // Closure instructions only make sense when the threat calls for the shelter
+              if (threatConfig?.shelterFile) {
+                mediaUrl = this.getMediaUrl(`/threat-shelter/${threat.key}`);
+              } else if (
+                !threat ||
+                threat.action === PROTECTIVE_ACTIONS.SHELTER
+              ) {
+                mediaUrl = mediaUrlFor("/shelter-instructions-primary");
+              } else {
+                mediaUrl = this.getThreatMediaUrl(threat, language);
+              }
+              volume =
+                threatConfig?.shelterVolume ?? (config.volumes?.primary || 50);
+              markPlayed(device, "primary");
               break;
             case ALERT_TYPES.EARLY_WARNING:
-              mediaUrl = `${this.baseUrl}/shelter-instructions-early-warning`;
+              mediaUrl = mediaUrlFor("/shelter-instructions-early-warning");
               volume = config.volumes?.["early-warning"] || 60;
               break;
             case ALERT_TYPES.EXIT_NOTIFICATION:
-              mediaUrl = `${this.baseUrl}/shelter-instructions-exit-notification`;
+              mediaUrl = mediaUrlFor("/shelter-instructions-exit-notification");
               volume = config.volumes?.["exit-notification"] || 60;
-              this.markShelterInstructionsPlayed(
-                device.friendlyName,
-                "exit-notification"
-              );
+              markPlayed(device, "exit-notification");
               break;
             case ALERT_TYPES.TEST:
-              mediaUrl = `${this.baseUrl}/test-video`;
+              mediaUrl = mediaUrlFor("/test-video");
               volume = config.volumes?.primary || 50;
               break;
             default:
@@ -1222,29 +5938,43 @@ class RedAlertPlugin {
               );
               return;
           }
+          volume = routeVolumes.get(device) ?? volume;
 
           this.log.info(
             `🏠 Playing ${alertType} on ${device.friendlyName} at ${volume}% volume`
           );
-          this.playWithRetry(device, mediaUrl, 3, volume);
+          this.recordPlayback(event, device, {
+            shelter: true,
+            mediaUrl,
+            volume,
+            status: "pending",
+          });
+          this.playAlertMedia(
+            device,
+            alertType,
+            mediaUrl,
+            volume,
+            announcementFor(language),
+            event
+          );
         }
       });
 
       // Process regular devices
       if (regularDevices.length > 0) {
-        let mediaUrl;
+        let route;
         switch (alertType) {
           case ALERT_TYPES.PRIMARY:
-            mediaUrl = `${this.baseUrl}/alert-video`;
+            route = null; // chosen per threat
             break;
           case ALERT_TYPES.TEST:
-            mediaUrl = `${this.baseUrl}/test-video`;
+            route = "/test-video";
             break;
           case ALERT_TYPES.EARLY_WARNING:
-            mediaUrl = `${this.baseUrl}/early-warning-video`;
+            route = "/early-warning-video";
             break;
           case ALERT_TYPES.EXIT_NOTIFICATION:
-            mediaUrl = `${this.baseUrl}/exit-notification-video`;
+            route = "/exit-notification-video";
             break;
           default:
             this.log.error(
@@ -1254,11 +5984,30 @@ class RedAlertPlugin {
         }
 
         regularDevices.forEach((device) => {
-          const volume = this.getAlertVolume(alertType, device);
+          const language = this.getDeviceLanguage(device);
+          const mediaUrl = route
+            ? this.getMediaUrl(this.localizeRoute(route, language))
+            : this.getThreatMediaUrl(threat, language);
+          const volume =
+            routeVolumes.get(device) ??
+            this.getAlertVolume(alertType, device, threat);
           this.log.info(
             `📺 Playing ${alertType} on ${device.friendlyName} at ${volume}% volume`
           );
-          this.playWithRetry(device, mediaUrl, 3, volume);
+          this.recordPlayback(event, device, {
+            shelter: false,
+            mediaUrl,
+            volume,
+            status: "pending",
+          });
+          this.playAlertMedia(
+            device,
+            alertType,
+            mediaUrl,
+            volume,
+            announcementFor(language),
+            event
+          );
         });
       }
     } catch (error) {
@@ -1266,10 +6015,98 @@ class RedAlertPlugin {
     }
   }
 
+  /**
+   * Play the alert media in the device's playback session, with the spoken
+   * announcement (if any) queued after it or played instead of it. Falls back
+   * to the alert media when synthesis fails.
+   */
+  playAlertMedia(device, alertType, mediaUrl, volume, announcement, event) {
+    const record = (details) => this.recordPlayback(event, device, details);
+    this.castSessions.begin(device, alertType, mediaUrl, (playId) => {
+      const onDone = (err) => {
+        record({
+          status: err ? "failed" : "playing",
+          error: err ? err.message : undefined,
+        });
+        if (err) this.castSessions.end(device, "failed", playId);
+        else this.castSessions.started(device, playId);
+      };
+
+      if (!announcement) {
+        this.playWithRetry(device, mediaUrl, 3, volume, onDone);
+        return;
+      }
+
+      if (this.announcer.mode === ANNOUNCEMENT_MODES.INSTEAD) {
+        announcement.then((route) => {
+          if (!this.castSessions.isCurrent(device, playId)) return;
+          if (route) record({ announcement: route });
+          const url = route ? this.getMediaUrl(route) : mediaUrl;
+          this.playWithRetry(device, url, 3, volume, onDone);
+        });
+        return;
+      }
+
+      this.playWithRetry(device, mediaUrl, 3, volume, (err) => {
+        onDone(err);
+        if (!err) {
+          this.queueAnnouncement(device, alertType, announcement, volume, {
+            playId,
+            record,
+          });
+        }
+      });
+    });
+  }
+
+  /**
+   * Play the announcement once the alert media finishes, or after
+   * chromecastTimeout if the device never reports it. The session stays open
+   * for it; a newer alert on the device cancels it.
+   */
+  queueAnnouncement(
+    device,
+    alertType,
+    announcement,
+    volume,
+    { playId, record }
+  ) {
+    const release = this.castSessions.hold(device);
+    let timer = null;
+    const playNext = () => {
+      clearTimeout(timer);
+      if (typeof device.removeListener === "function") {
+        device.removeListener("finished", playNext);
+      }
+      announcement.then((route) => {
+        if (!route || !this.castSessions.isCurrent(device, playId)) {
+          release();
+          return;
+        }
+        this.log.info(`🗣️ Playing announcement on ${device.friendlyName}`);
+        record({ announcement: route });
+        const url = this.getMediaUrl(route);
+        this.castSessions.begin(device, alertType, url, (announcementId) => {
+          release();
+          this.playWithRetry(device, url, 1, volume, (err) => {
+            if (err) {
+              record({ announcementError: err.message });
+              this.castSessions.end(device, "failed", announcementId);
+            } else {
+              this.castSessions.started(device, announcementId);
+            }
+          });
+        });
+      });
+    };
+    if (typeof device.once === "function") device.once("finished", playNext);
+    timer = setTimeout(playNext, this.chromecastTimeout * 1000);
+  }
+
   /**
    * Simple but reliable retry mechanism for Chromecast playback
    */
-  playWithRetry(device, mediaUrl, retries, volume) {
+  playWithRetry(device, mediaUrl, retries, volume, onDone = null) {
     try {
       this.log.debug(`📺 Attempting playback on ${device.friendlyName}`);
 
@@ -1279,17 +6116,20 @@ class RedAlertPlugin {
             `⚠️ Retrying playback on ${device.friendlyName} (${retries} left): ${err.message}`
           );
           setTimeout(
-            () => this.playWithRetry(device, mediaUrl, retries - 1, volume),
+            () =>
+              this.playWithRetry(device, mediaUrl, retries - 1, volume, onDone),
             2000
           );
         } else if (err) {
           this.log.error(
             `❌ Failed to play on ${device.friendlyName}: ${err.message}`
           );
+          if (onDone) onDone(err);
         } else {
           this.log.info(
             `▶️ Successfully started playback on ${device.friendlyName}`
           );
+          if (onDone) onDone(null);
 
           // Set volume immediately after successful play
           device.setVolume(volume / 100, (volErr) => {
@@ -1311,9 +6151,12 @@ class RedAlertPlugin {
       );
       if (retries > 0) {
         setTimeout(
-          () => this.playWithRetry(device, mediaUrl, retries - 1, volume),
+          () =>
+            this.playWithRetry(device, mediaUrl, retries - 1, volume, onDone),
           2000
         );
+      } else if (onDone) {
+        onDone(error);
       }
     }
   }
@@ -1341,23 +6184,46 @@ class RedAlertPlugin {
     if (!this.shelterInstructionsLastPlayed[deviceName])
       this.shelterInstructionsLastPlayed[deviceName] = {};
     this.shelterInstructionsLastPlayed[deviceName][alertType] = Date.now();
+    this.scheduleStateSave();
     this.log.debug(
       `🏠 Marked ${alertType} as played on ${deviceName} at ${new Date().toISOString()}`
     );
   }
 
+  /**
+   * Static devices are always in the device list. Discovery merges what it
+   * finds into it and never clears it; discovered devices are removed only
+   * after missed heartbeats.
+   */
   setupChromecastDiscovery() {
-    this.log.info("🔍 Setting up Chromecast discovery...");
-    this.initializeChromecastClient();
-    setInterval(() => {
-      this.log.info("🔄 Reinitializing Chromecast client for rediscovery...");
-      this.devices = [];
+    this.staticDevices.forEach((config) =>
+      this.addDevice(new StaticCastDevice(config), "static")
+    );
+
+    if (this.discoveryConfig.enabled) {
+      this.log.info("🔍 Setting up Chromecast discovery...");
       this.initializeChromecastClient();
-    }, 300000);
+      this.discoveryTimer = setInterval(() => {
+        this.log.debug("🔄 Rediscovering Chromecast devices...");
+        this.initializeChromecastClient();
+      }, this.discoveryConfig.intervalMinutes * 60 * 1000);
+    }
+
+    this.heartbeatTimer = setInterval(
+      () => this.checkDevices(),
+      this.discoveryConfig.heartbeatSeconds * 1000
+    );
   }
 
   initializeChromecastClient() {
     try {
+      // A fresh client reports every device again; the list itself is kept
+      if (
+        this.chromecastClient &&
+        typeof this.chromecastClient.destroy === "function"
+      ) {
+        this.chromecastClient.destroy();
+      }
       this.chromecastClient = new ChromecastAPI();
       this.chromecastClient.on("device", (device) => {
         if (!device || !device.host || !device.friendlyName) {
@@ -1373,31 +6239,134 @@ class RedAlertPlugin {
           );
           return;
         }
-        if (!this.devices.some((d) => d.host === device.host)) {
-          this.devices.push(device);
-          this.log.info(
-            `✅ Chromecast discovered: ${device.friendlyName} at ${device.host}`
-          );
-        } else {
-          this.log.debug(
-            `🔄 Chromecast rediscovered: ${device.friendlyName} at ${device.host}`
+        this.addDevice(device, "discovered");
+      });
+      this.chromecastClient.on("error", (err) => {
+        this.log.error(`❌ ChromecastAPI error: ${err.message}`);
+      });
+    } catch (error) {
+      this.log.error(`❌ Failed to initialize Chromecast: ${error.message}`);
+      if (this.staticDevices.length > 0) {
+        this.log.warn("⚠️ Chromecast discovery failed, using static devices");
+        return;
+      }
+      this.useChromecast = false;
+      this.devices = [];
+      this.log.warn(
+        "⚠️ Chromecast functionality disabled due to initialization failure"
+      );
+    }
+  }
+
+  /**
+   * Merge a device into the device list. A known device only counts as a
+   * heartbeat; a static device wins over a discovered one with its name.
+   */
+  addDevice(device, source) {
+    const known = this.deviceRegistry.get(deviceKey(device));
+    if (known) {
+      this.markDeviceSeen(known);
+      this.log.debug(
+        `🔄 Chromecast rediscovered: ${device.friendlyName} at ${device.host}`
+      );
+      return;
+    }
+
+    const name = device.friendlyName.toLowerCase();
+    const sameName = [...this.deviceRegistry.values()].find(
+      (entry) => entry.device.friendlyName.toLowerCase() === name
+    );
+    if (sameName?.source === "static" && source === "discovered") {
+      this.log.debug(
+        `📌 Discovered ${device.friendlyName} at ${device.host}, using the static entry`
+      );
+      this.markDeviceSeen(sameName);
+      return;
+    }
+    if (sameName) this.removeDevice(sameName, `moved to ${device.host}`);
+
+    const entry = {
+      device,
+      source,
+      reachable: source === "discovered" ? true : null,
+      lastSeen: source === "discovered" ? Date.now() : null,
+      missed: 0,
+    };
+    this.deviceRegistry.set(deviceKey(device), entry);
+    this.devices.push(device);
+    this.log.info(
+      source === "static"
+        ? `📌 Static Chromecast: ${device.friendlyName} at ${device.host}:${device.port}`
+        : `✅ Chromecast discovered: ${device.friendlyName} at ${device.host}`
+    );
+  }
+
+  removeDevice(entry, reason) {
+    this.deviceRegistry.delete(deviceKey(entry.device));
+    this.devices = this.devices.filter((device) => device !== entry.device);
+    this.log.warn(
+      `👋 Removed Chromecast ${entry.device.friendlyName} (${reason})`
+    );
+  }
+
+  markDeviceSeen(entry) {
+    entry.reachable = true;
+    entry.missed = 0;
+    entry.lastSeen = Date.now();
+  }
+
+  /**
+   * Heartbeat: probe every known device. Static devices stay in the list
+   * whatever happens; discovered ones go after `missedHeartbeats` in a row.
+   */
+  async checkDevices() {
+    await Promise.all(
+      [...this.deviceRegistry.values()].map(async (entry) => {
+        const { device } = entry;
+        if (await this.probeDevice(device)) {
+          if (entry.reachable === false) {
+            this.log.info(`✅ Chromecast ${device.friendlyName} is reachable`);
+          }
+          this.markDeviceSeen(entry);
+          return;
+        }
+        entry.missed++;
+        if (entry.reachable !== false) {
+          this.log.warn(
+            `⚠️ Chromecast ${device.friendlyName} is not reachable at ${device.host}`
           );
         }
+        entry.reachable = false;
+        if (
+          entry.source === "discovered" &&
+          entry.missed >= this.discoveryConfig.missedHeartbeats
+        ) {
+          this.removeDevice(entry, `${entry.missed} missed heartbeats`);
+        }
+      })
+    );
+  }
+
+  /**
+   * Whether the device accepts a TCP connection on its cast port.
+   */
+  probeDevice(device) {
+    return new Promise((resolve) => {
+      const socket = net.connect({
+        host: device.host,
+        port: device.port || CAST_PORT,
       });
-      this.chromecastClient.on("error", (err) => {
-        this.log.error(`❌ ChromecastAPI error: ${err.message}`);
-      });
-    } catch (error) {
-      this.log.error(`❌ Failed to initialize Chromecast: ${error.message}`);
-      this.useChromecast = false;
-      this.devices = [];
-      this.log.warn(
-        "⚠️ Chromecast functionality disabled due to initialization failure"
-      );
-    }
+      const done = (reachable) => {
+        socket.destroy();
+        resolve(reachable);
+      };
+      socket.setTimeout(DEVICE_PROBE_TIMEOUT_MS, () => done(false));
+      socket.once("connect", () => done(true));
+      socket.once("error", () => done(false));
+    });
   }
 
-  getAlertVolume(alertType, device) {
+  getAlertVolume(alertType, device, threat = null) {
     const devName =
       device && device.friendlyName ? device.friendlyName.toLowerCase() : "";
     const devOverride = this.deviceOverrides[devName];
@@ -1405,7 +6374,11 @@ class RedAlertPlugin {
     let volume = this.chromecastVolume;
     let source = "default";
 
-    if (
+    // A threat's volume wins over the device's, as on shelter devices
+    if (threat && typeof this.threatsConfig[threat.key]?.volume === "number") {
+      volume = this.threatsConfig[threat.key].volume;
+      source = `threat ${threat.key}`;
+    } else if (
       devOverride &&
       devOverride.alerts[alertType] &&
       typeof devOverride.alerts[alertType].volume === "number"
@@ -1440,6 +6413,32 @@ class RedAlertPlugin {
       // Add compression for faster media delivery
       this.server.use(compression());
 
+      // IP allowlist applies to every route
+      this.server.use((req, res, next) => {
+        if (this.isAllowedIp(req.ip)) {
+          next();
+          return;
+        }
+        this.log.warn(`🔒 Rejected request from ${req.ip} to ${req.path}`);
+        res.status(403).send("Forbidden");
+      });
+
+      // Media requires a signed URL (or the API token) when signing is enabled
+      this.server.use((req, res, next) => {
+        if (
+          !this.serverConfig.signMediaUrls ||
+          req.path === "/health" ||
+          req.path.startsWith("/api/") ||
+          this.isValidMediaSignature(req) ||
+          this.hasValidToken(req)
+        ) {
+          next();
+          return;
+        }
+        this.log.debug(`🔒 Invalid or expired media URL: ${req.path}`);
+        res.status(403).send("Invalid or expired media URL");
+      });
+
       const mediaDir = path.join(
         this.api.user.storagePath(),
         "red-alert-media"
@@ -1487,11 +6486,13 @@ class RedAlertPlugin {
       );
 
       // Shelter instructions endpoints
+      const shelterPrimaryFile =
+        this.shelterInstructions.primaryFile ||
+        this.ballisticClosureFile ||
+        "ballistic_closure.mp4";
       createMediaEndpoint(
         "/shelter-instructions-primary",
-        this.shelterInstructions.primaryFile ||
-          this.ballisticClosureFile ||
-          "ballistic_closure.mp4",
+        shelterPrimaryFile,
         "primary shelter instructions"
       );
       createMediaEndpoint(
@@ -1507,22 +6508,514 @@ class RedAlertPlugin {
         "exit notification shelter instructions"
       );
 
+      // Per-threat media, by threat key or ID. A threat without its own file,
+      // or whose file is missing, falls back to the default media.
+      const createThreatEndpoint = (route, fileKey, fallbackFile) => {
+        this.server.get(`${route}/:threat`, (req, res) => {
+          const threatId = resolveThreatId(req.params.threat);
+          if (threatId === null) {
+            res.status(404).send("Unknown threat");
+            return;
+          }
+          const { key } = THREAT_ID_MAPPING[threatId];
+          const file = this.threatsConfig[key][fileKey];
+          let fullPath = path.join(mediaDir, file || fallbackFile);
+          if (file && !fs.existsSync(fullPath)) {
+            this.log.warn(
+              `⚠️ Media file not found: ${file} (${key}), using ${fallbackFile}`
+            );
+            fullPath = path.join(mediaDir, fallbackFile);
+          }
+          if (fs.existsSync(fullPath)) {
+            res.sendFile(fullPath);
+          } else {
+            this.log.warn(`⚠️ Media file not found: ${fallbackFile}`);
+            res.status(404).send(`Media file for ${key} not found`);
+          }
+        });
+      };
+      createThreatEndpoint("/threat-video", "mediaFile", this.alertVideoPath);
+      createThreatEndpoint(
+        "/threat-shelter",
+        "shelterFile",
+        shelterPrimaryFile
+      );
+
+      // Per-language media sets, falling back to the default files
+      const defaultFiles = {
+        alertVideoPath: this.alertVideoPath,
+        testVideoPath: this.testVideoPath,
+        earlyWarningVideoPath: this.earlyWarningVideoPath,
+        exitNotificationVideoPath: this.exitNotificationVideoPath,
+        shelterPrimaryFile:
+          this.shelterInstructions.primaryFile || this.ballisticClosureFile,
+        shelterEarlyWarningFile:
+          this.shelterInstructions.earlyWarningFile || this.windowsClosedFile,
+        shelterExitFile:
+          this.shelterInstructions.exitFile || this.shelterExitFile,
+      };
+      for (const [language, set] of Object.entries(this.languageMedia)) {
+        for (const [route, key] of Object.entries(LANGUAGE_MEDIA_KEYS)) {
+          createMediaEndpoint(
+            `/${language}${route}`,
+            set[key] || defaultFiles[key],
+            `${language} ${route.slice(1).replace(/-/g, " ")}`
+          );
+        }
+      }
+
       this.server.get("/health", (req, res) => {
         res.status(200).send("OK");
       });
 
-      this.server
-        .listen(this.serverPort, () => {
-          this.log.info(`✅ Media server running on ${this.baseUrl}`);
+      this.server.use("/api", this.createApiRouter());
+
+      const bindAddress = this.serverConfig.bindAddress || undefined;
+      if (
+        !this.serverConfig.apiToken &&
+        !LOOPBACK_ADDRESSES.includes(bindAddress)
+      ) {
+        this.log.warn(
+          "⚠️ No server.apiToken configured - control API is open to the network"
+        );
+      }
+
+      this.httpServer = this.server
+        .listen(this.serverPort, bindAddress, () => {
+          this.log.info(
+            `✅ Media server running on ${this.baseUrl}${
+              bindAddress ? ` (bound to ${bindAddress})` : ""
+            }`
+          );
         })
         .on("error", (err) => {
           this.log.error(`❌ Media server error: ${err.message}`);
-        });
+        })
+        .on("upgrade", (req, socket, head) =>
+          this.handleServerUpgrade(req, socket, head)
+        );
+      this.eventFeed.start();
     } catch (error) {
       this.log.error(`❌ Failed to setup media server: ${error.message}`);
     }
   }
 
+  /**
+   * JSON status and control API, mounted under /api on the media server.
+   */
+  createApiRouter() {
+    const router = express.Router();
+    router.use((req, res, next) => {
+      if (!this.serverConfig.apiToken || this.hasValidToken(req)) {
+        next();
+        return;
+      }
+      res.setHeader("WWW-Authenticate", "Bearer");
+      res.status(401).json({ error: "Unauthorized" });
+    });
+    router.use(express.json());
+    router.use((req, res, next) => {
+      res.setHeader("Cache-Control", "no-store");
+      next();
+    });
+
+    router.get("/status", (req, res) => res.json(this.getStatus()));
+    router.get("/events", (req, res) =>
+      this.eventFeed.addSseClient(
+        req,
+        res,
+        this.parseFeedTypes(req.query.types)
+      )
+    );
+    router.get("/devices", (req, res) => res.json(this.getDevicesStatus()));
+    router.get("/connection", (req, res) =>
+      res.json(this.tzofarClient ? this.tzofarClient.getStatus() : null)
+    );
+    router.get("/sources", (req, res) =>
+      res.json(this.sources.map((source) => source.getStatus()))
+    );
+    router.get("/health", (req, res) => {
+      const health = this.getFeedHealthStatus();
+      res.status(health.healthy ? 200 : 503).json(health);
+    });
+    router.get("/history", (req, res) => {
+      if (req.query.simulated === "true") {
+        res.json([...this.simulatedHistory].reverse());
+        return;
+      }
+      if (!this.history) {
+        res.status(503).json({ error: "Alert history is disabled" });
+        return;
+      }
+      const limit = Math.min(Number(req.query.limit) || 100, 1000);
+      res.json(
+        this.history.query({
+          since: req.query.since,
+          until: req.query.until,
+          alertType: req.query.alertType,
+          city: req.query.city,
+          outcome: req.query.outcome,
+          limit,
+        })
+      );
+    });
+
+    router.get("/routing", (req, res) => {
+      const alertType = req.query.alertType || ALERT_TYPES.PRIMARY;
+      if (!Object.values(ALERT_TYPES).includes(alertType)) {
+        res.status(400).json({
+          error: `Unknown alert type: ${alertType}`,
+          alertTypes: Object.values(ALERT_TYPES),
+        });
+        return;
+      }
+      const threatId =
+        req.query.threat === undefined ? 0 : resolveThreatId(req.query.threat);
+      if (threatId === null) {
+        res.status(400).json({ error: `Unknown threat: ${req.query.threat}` });
+        return;
+      }
+      const threat =
+        alertType === ALERT_TYPES.PRIMARY ? THREAT_ID_MAPPING[threatId] : null;
+      res.json(
+        this.devices.map((device) => {
+          const { play, rule } = this.routeDevice(alertType, threat, device);
+          return {
+            name: device.friendlyName,
+            play,
+            rule: rule?.name ?? null,
+            volume: play ? rule?.volume ?? null : null,
+          };
+        })
+      );
+    });
+    router.get("/schedules", (req, res) =>
+      res.json(this.schedules.getStatus())
+    );
+    router.post("/schedules/:name", (req, res) => {
+      const forced = req.body?.forced;
+      if (typeof forced !== "boolean") {
+        res.status(400).json({ error: "Provide forced: true or false" });
+        return;
+      }
+      if (!this.setProfileForced(req.params.name, forced)) {
+        res.status(404).json({ error: `Unknown profile: ${req.params.name}` });
+        return;
+      }
+      res.json({ ok: true, profiles: this.schedules.getStatus() });
+    });
+    router.post("/test/:alertType", (req, res) => {
+      const alertType = req.params.alertType;
+      if (!Object.values(ALERT_TYPES).includes(alertType)) {
+        res.status(400).json({
+          error: `Unknown alert type: ${alertType}`,
+          alertTypes: Object.values(ALERT_TYPES),
+        });
+        return;
+      }
+      const { threat, cities } = req.body || {};
+      if (threat !== undefined && resolveThreatId(threat) === null) {
+        res.status(400).json({ error: `Unknown threat: ${threat}` });
+        return;
+      }
+      this.log.info(`🧪 Test ${alertType} requested via API (${req.ip})`);
+      this.runTest(alertType, { threat, cities });
+      res.json({ ok: true, alertType });
+    });
+    router.get("/scenarios", (req, res) =>
+      res.json(
+        this.testScenarios.map((scenario) => ({
+          ...scenario,
+          running: this.runningScenarios.has(scenario.id),
+        }))
+      )
+    );
+    router.post("/scenarios/:id", (req, res) => {
+      const scenario = this.testScenarios.find((s) => s.id === req.params.id);
+      if (!scenario) {
+        res.status(404).json({ error: `Unknown scenario: ${req.params.id}` });
+        return;
+      }
+      this.log.info(`🧪 Scenario ${scenario.id} requested via API (${req.ip})`);
+      this.runScenario(scenario);
+      res.json({ ok: true, id: scenario.id });
+    });
+    router.post("/scenarios/:id/stop", (req, res) => {
+      this.stopScenario(req.params.id);
+      res.json({ ok: true, id: req.params.id });
+    });
+    router.get("/simulate", (req, res) =>
+      res.json({
+        ...this.replayer.getStatus(),
+        recent: this.simulatedHistory.slice(-20).reverse(),
+      })
+    );
+    router.post("/simulate", async (req, res) => {
+      try {
+        const { messages, file, speed } = req.body || {};
+        let input = messages;
+        let name = "api";
+        if (file) {
+          input = await this.readSimulationFile(file);
+          name = path.basename(file);
+        }
+        if (!input) {
+          res.status(400).json({ error: "Provide messages or file" });
+          return;
+        }
+        const entries = parseReplayEntries(input);
+        if (entries.length === 0) {
+          res.status(400).json({ error: "No replayable messages found" });
+          return;
+        }
+        this.log.info(`🎬 Simulation requested via API (${req.ip})`);
+        this.replayer.start(entries, { name, speed });
+        res.status(202).json({ ok: true, ...this.replayer.getStatus() });
+      } catch (error) {
+        res.status(400).json({ error: error.message });
+      }
+    });
+    router.post("/simulate/stop", (req, res) => {
+      this.replayer.stop();
+      res.json({ ok: true, ...this.replayer.getStatus() });
+    });
+    router.post("/silence", (req, res) => {
+      this.log.info(`🔇 Silence requested via API (${req.ip})`);
+      res.json({ ok: true, devices: this.silencePlayback() });
+    });
+    router.post("/acknowledge", (req, res) => {
+      const alertType = req.body?.alertType || null;
+      if (alertType && !Object.values(ALERT_TYPES).includes(alertType)) {
+        res.status(400).json({ error: `Unknown alert type: ${alertType}` });
+        return;
+      }
+      this.log.info(
+        `✅ Acknowledge ${alertType || "all alerts"} requested via API (${
+          req.ip
+        })`
+      );
+      this.acknowledgeAlert(alertType);
+      res.json({ ok: true, status: this.getStatus() });
+    });
+
+    router.use((req, res) => res.status(404).json({ error: "Not found" }));
+    return router;
+  }
+
+  /**
+   * Optional comma-separated event type filter for feed clients.
+   */
+  parseFeedTypes(types) {
+    if (typeof types !== "string" || !types.trim()) return null;
+    return types.split(",").map((type) => type.trim());
+  }
+
+  /**
+   * WebSocket feed at /api/ws. Upgrades bypass Express, so the allowlist
+   * and token are checked here.
+   */
+  handleServerUpgrade(req, socket, head) {
+    const url = new URL(req.url, "http://localhost");
+    if (url.pathname !== "/api/ws") {
+      socket.destroy();
+      return;
+    }
+    if (!this.isAllowedIp(req.socket.remoteAddress)) {
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    if (this.serverConfig.apiToken && !this.hasValidToken(req)) {
+      socket.end("HTTP/1.1 401 Unauthorized\r\n\r\n");
+      return;
+    }
+    this.eventFeed.handleUpgrade(
+      req,
+      socket,
+      head,
+      this.parseFeedTypes(url.searchParams.get("types"))
+    );
+  }
+
+  /**
+   * Recordings live in red-alert-simulations/ under the storage path; only
+   * plain file names are accepted.
+   */
+  async readSimulationFile(file) {
+    const dir = path.join(this.api.user.storagePath(), "red-alert-simulations");
+    const fullPath = path.join(dir, path.basename(String(file)));
+    if (!(await fs.pathExists(fullPath))) {
+      throw new Error(`Simulation file not found: ${path.basename(fullPath)}`);
+    }
+    return fs.readFile(fullPath, "utf8");
+  }
+
+  getDevicesStatus() {
+    return this.devices.map((device) => {
+      const shelterCfg = this.getShelterDeviceConfig(device);
+      const entry = this.deviceRegistry.get(deviceKey(device));
+      return {
+        name: device.friendlyName,
+        host: device.host,
+        port: device.port || CAST_PORT,
+        castGroup: isCastGroup(device),
+        groups: this.getDeviceGroups(device),
+        source: entry?.source ?? null,
+        reachable: entry?.reachable ?? null,
+        lastSeen: entry?.lastSeen
+          ? new Date(entry.lastSeen).toISOString()
+          : null,
+        missedHeartbeats: entry?.missed ?? 0,
+        shelter: !!shelterCfg,
+        language: this.getDeviceLanguage(device, shelterCfg),
+        playback: this.castSessions.getStatus(device),
+      };
+    });
+  }
+
+  /**
+   * Run a test for a specific alert type through the normal trigger paths.
+   */
+  runTest(alertType, { threat = 0, cities = null, source = "api" } = {}) {
+    if (alertType === ALERT_TYPES.TEST) {
+      this.triggerTest();
+      return;
+    }
+
+    if (!Array.isArray(cities) || cities.length === 0) {
+      cities =
+        this.selectedCities.length > 0 ? [this.selectedCities[0]] : ["Test"];
+    }
+    const event = this.startHistoryEvent(alertType, null, { source });
+    event.test = true;
+    this.log.info(`🧪 TEST ${alertType} for ${cities.join(", ")}`);
+
+    switch (alertType) {
+      case ALERT_TYPES.PRIMARY: {
+        const threatId = resolveThreatId(threat) ?? 0;
+        const threatInfo = THREAT_ID_MAPPING[threatId];
+        this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, {
+          cities,
+          threat: { id: threatId, key: threatInfo.key, name: threatInfo.name },
+        });
+        this.triggerPrimaryAlert(cities, threatInfo, event);
+        break;
+      }
+      case ALERT_TYPES.EARLY_WARNING:
+        this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, { cities });
+        this.triggerEarlyWarning(cities, event);
+        break;
+      case ALERT_TYPES.EXIT_NOTIFICATION:
+        this.releaseShelterSessions(cities, "exit notification test");
+        this.finishHistoryEvent(event, HISTORY_OUTCOMES.TRIGGERED, { cities });
+        this.triggerExitNotification(cities, event);
+        break;
+    }
+  }
+
+  /**
+   * Run a test scenario's steps through runTest, honouring each step's delay.
+   * The scenario's switch stays on until the last step has run.
+   */
+  runScenario(scenario, source = "api") {
+    this.stopScenario(scenario.id);
+    this.log.info(
+      `🧪 Running test scenario "${scenario.name}" (${scenario.steps.length} steps)`
+    );
+
+    let offsetMs = 0;
+    const timers = scenario.steps.map((step, index) => {
+      offsetMs += (step.delaySeconds || 0) * 1000;
+      return setTimeout(() => {
+        this.log.info(
+          `🧪 ${scenario.name} step ${index + 1}/${scenario.steps.length}: ${
+            step.alertType
+          }${step.threat ? ` (${step.threat})` : ""}`
+        );
+        this.runTest(step.alertType, {
+          threat: step.threat,
+          cities: step.cities,
+          source,
+        });
+        if (index === scenario.steps.length - 1) {
+          setTimeout(() => this.finishScenario(scenario.id), 2000);
+        }
+      }, offsetMs);
+    });
+    this.runningScenarios.set(scenario.id, timers);
+    this.updateScenarioSwitch(scenario.id);
+  }
+
+  stopScenario(scenarioId) {
+    const timers = this.runningScenarios.get(scenarioId);
+    if (!timers) return;
+    timers.forEach((timer) => clearTimeout(timer));
+    this.log.info(`🧪 Test scenario ${scenarioId} stopped`);
+    this.finishScenario(scenarioId);
+  }
+
+  finishScenario(scenarioId) {
+    this.runningScenarios.delete(scenarioId);
+    this.updateScenarioSwitch(scenarioId);
+  }
+
+  updateScenarioSwitch(scenarioId) {
+    const service = this.testScenarioServices?.[scenarioId];
+    if (service) {
+      service.updateCharacteristic(
+        Characteristic.On,
+        this.runningScenarios.has(scenarioId)
+      );
+    }
+  }
+
+  /**
+   * Stop media on every Chromecast device, restoring the ones in an alert
+   * playback session. Returns the device names.
+   */
+  silencePlayback() {
+    const stopped = [];
+    this.devices.forEach((device) => {
+      if (this.castSessions.end(device, "silenced")) {
+        stopped.push(device.friendlyName);
+        return;
+      }
+      if (typeof device.stop !== "function") return;
+      stopped.push(device.friendlyName);
+      device.stop((err) => {
+        if (err) {
+          this.log.debug(
+            `🔇 Could not stop ${device.friendlyName}: ${err.message}`
+          );
+        } else {
+          this.log.info(`🔇 Stopped playback on ${device.friendlyName}`);
+        }
+      });
+    });
+    return stopped;
+  }
+
+  /**
+   * Clear the HomeKit alert state for one alert type (or all) before the auto-reset.
+   * Shelter sessions are left alone - only an exit notification releases them.
+   */
+  acknowledgeAlert(alertType = null) {
+    const matches = (type) => !alertType || alertType === type;
+    if (
+      (matches(ALERT_TYPES.PRIMARY) || matches(ALERT_TYPES.TEST)) &&
+      this.isAlertActive
+    ) {
+      this.log.info("✅ Primary alert acknowledged");
+      this.resetPrimaryAlert();
+    }
+    if (matches(ALERT_TYPES.EARLY_WARNING)) this.resetEarlyWarning();
+    if (matches(ALERT_TYPES.EXIT_NOTIFICATION)) this.resetExitNotification();
+
+    const event = this.startHistoryEvent(alertType || "all", null, {
+      source: "api",
+    });
+    this.finishHistoryEvent(event, HISTORY_OUTCOMES.ACKNOWLEDGED);
+  }
+
   copyDefaultMediaFiles() {
     try {
       const mediaDir = path.join(
@@ -1567,13 +7060,32 @@ class RedAlertPlugin {
   cleanup() {
     this.log.info("🧹 Cleaning up Red Alert plugin...");
 
-    if (this.tzofarClient) {
-      this.tzofarClient.disconnect();
+    this.sources.forEach((source) => source.stop());
+    this.replayer.stop();
+    [...this.runningScenarios.keys()].forEach((id) => this.stopScenario(id));
+    if (this.feedHealthTimer) clearInterval(this.feedHealthTimer);
+    if (this.discoveryTimer) clearInterval(this.discoveryTimer);
+    if (this.heartbeatTimer) clearInterval(this.heartbeatTimer);
+
+    clearTimeout(this.primaryResetTimer);
+    this.clearShelterTimer();
+    this.shelterSessions.forEach((session) =>
+      this.clearShelterSessionTimers(session)
+    );
+
+    if (this.stateSaveTimer) {
+      clearTimeout(this.stateSaveTimer);
+      this.stateSaveTimer = null;
+    }
+    if (this.history) {
+      this.history.saveState(this.getPersistentState());
     }
 
-    // Close media server
-    if (this.server && typeof this.server.close === "function") {
-      this.server.close();
+    // Close push feed clients and media server
+    this.eventFeed.stop();
+    this.castSessions.clear();
+    if (this.httpServer) {
+      this.httpServer.close();
     }
 
     // Clean up Chromecast client
@@ -1588,8 +7100,118 @@ class RedAlertPlugin {
   }
 }
 
+/**
+ * Dynamic platform: a main accessory with the aggregate sensors and test switch,
+ * plus one cached accessory per location (or per monitored city).
+ */
+class RedAlertPlatform {
+  constructor(log, config, api) {
+    this.log = log;
+    this.config = config || {};
+    this.api = api;
+    this.cachedAccessories = new Map(); // key: UUID, value: PlatformAccessory
+
+    // Registered before the plugin's own launch handler so the services
+    // exist by the time Tzofar connects
+    this.api.on("didFinishLaunching", () => this.setupAccessories());
+    this.plugin = new RedAlertPlugin(log, this.config, api, this);
+  }
+
+  configureAccessory(accessory) {
+    this.log.debug(`♻️ Restoring cached accessory: ${accessory.displayName}`);
+    this.cachedAccessories.set(accessory.UUID, accessory);
+  }
+
+  setupAccessories() {
+    const activeAccessories = new Set();
+
+    const main = this.getOrCreateAccessory(this.plugin.name, "main");
+    activeAccessories.add(main.UUID);
+    this.withServiceProvider(main, (provideService) =>
+      this.plugin.createServices(provideService)
+    );
+
+    for (const location of this.plugin.locations) {
+      const accessory = this.getOrCreateAccessory(
+        location.name,
+        `location:${location.name}`
+      );
+      activeAccessories.add(accessory.UUID);
+      this.withServiceProvider(accessory, (provideService) =>
+        this.plugin.createLocationServices(location, provideService)
+      );
+    }
+
+    const stale = [...this.cachedAccessories.values()].filter(
+      (accessory) => !activeAccessories.has(accessory.UUID)
+    );
+    if (stale.length > 0) {
+      this.log.info(
+        `🧹 Removing ${stale.length} stale accessories: ${stale
+          .map((accessory) => accessory.displayName)
+          .join(", ")}`
+      );
+      this.api.unregisterPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, stale);
+      stale.forEach((accessory) =>
+        this.cachedAccessories.delete(accessory.UUID)
+      );
+    }
+  }
+
+  getOrCreateAccessory(displayName, id) {
+    const uuid = this.api.hap.uuid.generate(`${PLUGIN_NAME}:${id}`);
+    let accessory = this.cachedAccessories.get(uuid);
+    if (!accessory) {
+      this.log.info(`➕ Adding accessory: ${displayName}`);
+      accessory = new this.api.platformAccessory(displayName, uuid);
+      this.api.registerPlatformAccessories(PLUGIN_NAME, PLATFORM_NAME, [
+        accessory,
+      ]);
+      this.cachedAccessories.set(uuid, accessory);
+    }
+
+    accessory
+      .getService(Service.AccessoryInformation)
+      .setCharacteristic(Characteristic.Manufacturer, "Homebridge")
+      .setCharacteristic(Characteristic.Model, "Red Alert Tzofar")
+      .setCharacteristic(Characteristic.SerialNumber, "4.0.1");
+    return accessory;
+  }
+
+  /**
+   * Hand out cached services (or add new ones), then drop the ones no longer used.
+   */
+  withServiceProvider(accessory, callback) {
+    const used = new Set();
+    callback((type, displayName, subtype) => {
+      const service =
+        accessory.getServiceById(type, subtype) ||
+        accessory.addService(type, displayName, subtype);
+      used.add(service);
+      return service;
+    });
+
+    accessory.services
+      .filter(
+        (service) =>
+          !used.has(service) &&
+          !(service instanceof Service.AccessoryInformation)
+      )
+      .forEach((service) => {
+        this.log.debug(
+          `🧹 Removing unused service ${service.displayName} from ${accessory.displayName}`
+        );
+        accessory.removeService(service);
+      });
+  }
+}
+
 module.exports = (api) => {
   Service = api.hap.Service;
   Characteristic = api.hap.Characteristic;
-  api.registerAccessory("homebridge-red-alert", "RedAlert", RedAlertPlugin);
+  api.registerAccessory(PLUGIN_NAME, ACCESSORY_NAME, RedAlertPlugin);
+  api.registerPlatform(PLUGIN_NAME, PLATFORM_NAME, RedAlertPlatform);
 };
+
+// Shared with scripts/mock-tzofar-server.js
+module.exports.parseReplayEntries = parseReplayEntries;
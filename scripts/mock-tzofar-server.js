@@ -0,0 +1,58 @@
+#!/usr/bin/env node
+/**
+ * Local mock Tzofar WebSocket server for testing without a real siren.
+ *
+ * Replays a recording (same formats as POST /api/simulate) to every client
+ * that connects, with the recorded timing. Point the plugin at it with
+ * "tzofar": { "wsUrl": "ws://127.0.0.1:8765" }. Every message is tagged
+ * `simulated` so it never ends up in the real alert history.
+ *
+ * Usage: node scripts/mock-tzofar-server.js <recording.json> [--port 8765] [--speed 1]
+ */
+
+const fs = require("fs");
+const WebSocket = require("ws");
+const { parseReplayEntries } = require("../index.js");
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+  const index = args.indexOf(`--${name}`);
+  return index >= 0 ? Number(args[index + 1]) : fallback;
+};
+const file = args.find(
+  (arg, index) => !arg.startsWith("--") && !args[index - 1]?.startsWith("--")
+);
+
+if (!file) {
+  console.error(
+    "Usage: node scripts/mock-tzofar-server.js <recording.json> [--port 8765] [--speed 1]"
+  );
+  process.exit(1);
+}
+
+const port = option("port", 8765);
+const speed = option("speed", 1);
+const entries = parseReplayEntries(fs.readFileSync(file, "utf8"));
+if (entries.length === 0) {
+  console.error(`❌ No replayable messages in ${file}`);
+  process.exit(1);
+}
+
+const server = new WebSocket.Server({ port });
+console.log(
+  `🎬 Mock Tzofar server on ws://127.0.0.1:${port} - ${entries.length} messages from ${file} (speed x${speed})`
+);
+
+server.on("connection", (ws, req) => {
+  console.log(
+    `🔌 Client connected from ${req.socket.remoteAddress}, replaying`
+  );
+  const timers = entries.map(({ offsetMs, message }, index) =>
+    setTimeout(() => {
+      if (ws.readyState !== WebSocket.OPEN) return;
+      ws.send(JSON.stringify({ ...message, simulated: true }));
+      console.log(`📤 ${index + 1}/${entries.length} ${message.type}`);
+    }, offsetMs / speed)
+  );
+  ws.on("close", () => timers.forEach((timer) => clearTimeout(timer)));
+});
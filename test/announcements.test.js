@@ -0,0 +1,186 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  flush,
+  TEL_AVIV,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { alertMessage } = require("./helpers/tzofar");
+
+const BASE_URL = "http://127.0.0.1:8095";
+const settle = async (plugin) => {
+  await Promise.all(plugin.announcer.pending.values());
+  await flush();
+};
+
+// A TTS module that writes the text itself and counts its calls
+function ttsModule(t, body = "await fs.promises.writeFile(file, text);") {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "red-alert-tts-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "tts.js");
+  fs.writeFileSync(
+    file,
+    `const fs = require("fs");
+module.exports = async (text, { language, file }) => {
+  module.exports.calls.push({ text, language });
+  ${body}
+};
+module.exports.calls = [];`
+  );
+  return file;
+}
+
+test("announcements are synthesized once per text and language", async (t) => {
+  const module = ttsModule(t);
+  const plugin = await createPlugin(t, {
+    announcements: { enabled: true, engine: "module", module },
+  });
+
+  const route = await plugin.announcer.announce("Rocket fire", "en");
+  assert.match(route, /^\/announcements\/[0-9a-f]{16}\.wav$/);
+  assert.strictEqual(
+    await plugin.announcer.announce("Rocket fire", "en"),
+    route
+  );
+  assert.notStrictEqual(
+    await plugin.announcer.announce("Rocket fire", "he"),
+    route
+  );
+  assert.strictEqual(require(module).calls.length, 2);
+
+  const file = path.join(plugin.announcer.dir, path.basename(route));
+  assert.strictEqual(fs.readFileSync(file, "utf8"), "Rocket fire");
+});
+
+test("command engines run without a shell and read stdin without {text}", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "red-alert-tts-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const script = path.join(dir, "tts.js");
+  fs.writeFileSync(
+    script,
+    `const fs = require("fs");
+fs.writeFileSync(process.argv[2], process.argv[3] + ":" + fs.readFileSync(0, "utf8"));`
+  );
+  const plugin = await createPlugin(t, {
+    announcements: {
+      enabled: true,
+      engine: "command",
+      command: `${process.execPath} ${script} {file} {voice}`,
+      voices: { ru: "irina" },
+      extension: "mp3",
+    },
+  });
+
+  const route = await plugin.announcer.announce("Тель Авив; rm -rf /", "ru");
+  assert.match(route, /\.mp3$/);
+  const file = path.join(plugin.announcer.dir, path.basename(route));
+  assert.strictEqual(
+    fs.readFileSync(file, "utf8"),
+    "irina:Тель Авив; rm -rf /"
+  );
+});
+
+test("the announcement plays after the alert media finishes", async (t) => {
+  mockClock(t);
+  const module = ttsModule(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      language: "he",
+      announcements: { enabled: true, engine: "module", module },
+    },
+    { devices: [tv] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await settle(plugin);
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/alert-video`]);
+
+  tv.finish();
+  await settle(plugin);
+  assert.strictEqual(tv.plays.length, 2);
+  assert.match(tv.plays[1], /^http:\/\/127\.0\.0\.1:8095\/announcements\//);
+
+  const [{ text, language }] = require(module).calls;
+  assert.strictEqual(language, "he");
+  assert.match(text, /^ירי רקטות וטילים\. תל אביב - מזרח\./);
+
+  // The fallback timer does not play it a second time
+  t.mock.timers.tick(30 * 1000);
+  await settle(plugin);
+  assert.strictEqual(tv.plays.length, 2);
+});
+
+test("a newer alert on the device cancels the queued announcement", async (t) => {
+  mockClock(t);
+  const module = ttsModule(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      announcements: {
+        enabled: true,
+        engine: "module",
+        module,
+        alertTypes: ["primary"],
+      },
+    },
+    { devices: [tv] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await settle(plugin);
+  plugin.playChromecastMedia("exit-notification");
+  await flush();
+
+  t.mock.timers.tick(30 * 1000);
+  await settle(plugin);
+  assert.deepStrictEqual(tv.plays, [
+    `${BASE_URL}/alert-video`,
+    `${BASE_URL}/exit-notification-video`,
+  ]);
+});
+
+test("instead mode replaces the media and falls back when synthesis fails", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      announcements: {
+        enabled: true,
+        mode: "instead",
+        engine: "module",
+        module: ttsModule(
+          t,
+          'if (text.startsWith("Test")) throw new Error("no voice");\n  await fs.promises.writeFile(file, text);'
+        ),
+        alertTypes: ["primary", "test"],
+      },
+    },
+    { devices: [tv] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await settle(plugin);
+  assert.strictEqual(tv.plays.length, 1);
+  assert.match(tv.plays[0], /\/announcements\//);
+
+  plugin.playChromecastMedia("test");
+  await settle(plugin);
+  assert.deepStrictEqual(tv.plays.slice(1), [`${BASE_URL}/test-video`]);
+
+  // Alert types outside alertTypes keep their media
+  plugin.playChromecastMedia("exit-notification");
+  await flush();
+  assert.deepStrictEqual(tv.plays.slice(2), [
+    `${BASE_URL}/exit-notification-video`,
+  ]);
+});
@@ -0,0 +1,239 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const {
+  alertMessage,
+  earlyWarningMessage,
+  exitMessage,
+} = require("./helpers/tzofar");
+
+const BASE_URL = "http://127.0.0.1:8095";
+const COOLDOWN_MS = 20 * 60 * 1000;
+
+const shelterConfig = (deviceName) => ({
+  shelterInstructions: {
+    devices: [
+      {
+        deviceName,
+        enabled: true,
+        volumes: { primary: 70, "early-warning": 65, "exit-notification": 55 },
+      },
+    ],
+    minIntervalMinutes: 20,
+  },
+});
+
+test("regular devices play the alert video at the device volume", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      chromecastVolume: 40,
+      chromecastVolumes: [
+        {
+          deviceName: "Living Room TV",
+          volume: 80,
+          alerts: { "early-warning": { volume: 20 } },
+        },
+      ],
+    },
+    { devices: [tv] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/alert-video`]);
+  assert.deepStrictEqual(tv.volumes, [0.8]);
+});
+
+test("each alert type plays its own media", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Bedroom TV");
+  const plugin = await createPlugin(t, {}, { devices: [tv] });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  receive(plugin, exitMessage([TEL_AVIV_ID]));
+  await flush();
+
+  assert.deepStrictEqual(tv.plays, [
+    `${BASE_URL}/early-warning-video`,
+    `${BASE_URL}/exit-notification-video`,
+  ]);
+  assert.deepStrictEqual(tv.volumes, [0.6, 0.45]);
+});
+
+test("shelter devices play shelter instructions, others the alert video", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(t, shelterConfig("shelter speaker"), {
+    devices: [tv, speaker],
+  });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+
+  assert.deepStrictEqual(speaker.plays, [
+    `${BASE_URL}/shelter-instructions-primary`,
+  ]);
+  assert.deepStrictEqual(speaker.volumes, [0.7]);
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/alert-video`]);
+});
+
+test("shelter early-warning instructions respect the cooldown", async (t) => {
+  mockClock(t);
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(t, shelterConfig("Shelter Speaker"), {
+    devices: [speaker],
+  });
+  const earlyWarningUrl = `${BASE_URL}/shelter-instructions-early-warning`;
+
+  plugin.playChromecastMedia("early-warning");
+  plugin.playChromecastMedia("early-warning");
+  await flush();
+  assert.deepStrictEqual(speaker.plays, [earlyWarningUrl]);
+
+  t.mock.timers.tick(COOLDOWN_MS + 1);
+  plugin.playChromecastMedia("early-warning");
+  await flush();
+  assert.deepStrictEqual(speaker.plays, [earlyWarningUrl, earlyWarningUrl]);
+});
+
+test("test runs and simulations leave the real shelter cooldown alone", async (t) => {
+  mockClock(t);
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(t, shelterConfig("Shelter Speaker"), {
+    devices: [speaker],
+  });
+
+  plugin.runTest("early-warning");
+  receive(plugin, { ...earlyWarningMessage([TEL_AVIV_ID]), simulated: true });
+  assert.strictEqual(
+    plugin.canPlayShelterInstructions("Shelter Speaker", "early-warning"),
+    true
+  );
+
+  plugin.runTest("early-warning");
+  await flush();
+  assert.strictEqual(speaker.plays.length, 3);
+});
+
+test("failed playback is retried", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Flaky TV");
+  tv.failPlays = 1;
+  const plugin = await createPlugin(t, {}, { devices: [tv] });
+
+  plugin.playChromecastMedia("test");
+  await flush();
+  assert.strictEqual(tv.plays.length, 1);
+  assert.deepStrictEqual(tv.volumes, []);
+
+  t.mock.timers.tick(2000);
+  await flush();
+  assert.strictEqual(tv.plays.length, 2);
+  assert.deepStrictEqual(tv.volumes, [0.5]);
+});
+
+test("devices without play/setVolume are skipped", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const broken = { friendlyName: "Broken", host: "192.168.1.99" };
+  const plugin = await createPlugin(t, {}, { devices: [broken, tv] });
+
+  plugin.playChromecastMedia("test");
+  await flush();
+
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/test-video`]);
+});
+
+test("each threat plays its own media, shelter file and volumes", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(
+    t,
+    {
+      ...shelterConfig("Shelter Speaker"),
+      threats: {
+        2: { mediaFile: "infiltration.mp4", volume: 10 },
+        "terrorist-infiltration": {
+          shelterFile: "lock-doors.mp4",
+          shelterVolume: 20,
+        },
+      },
+    },
+    { devices: [tv, speaker] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 2 }));
+  await flush();
+
+  assert.deepStrictEqual(tv.plays, [
+    `${BASE_URL}/threat-video/terrorist-infiltration`,
+  ]);
+  assert.deepStrictEqual(tv.volumes, [0.1]);
+  assert.deepStrictEqual(speaker.plays, [
+    `${BASE_URL}/threat-shelter/terrorist-infiltration`,
+  ]);
+  assert.deepStrictEqual(speaker.volumes, [0.2]);
+});
+
+test("threats without their own media keep the defaults", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(t, shelterConfig("Shelter Speaker"), {
+    devices: [tv, speaker],
+  });
+
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 3 }));
+  await flush();
+
+  // An earthquake is not a shelter threat: the speaker plays the alert video
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/alert-video`]);
+  assert.deepStrictEqual(speaker.plays, [`${BASE_URL}/alert-video`]);
+  assert.deepStrictEqual(speaker.volumes, [0.7]);
+});
+
+test("a threat volume wins over device volumes on every device", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(
+    t,
+    {
+      ...shelterConfig("Shelter Speaker"),
+      cities: [TEL_AVIV, BEER_SHEVA],
+      chromecastVolumes: [{ deviceName: "Living Room TV", volume: 80 }],
+      threats: {
+        "terrorist-infiltration": { volume: 10, shelterVolume: 15 },
+      },
+    },
+    { devices: [tv, speaker] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 2 }));
+  await flush();
+  assert.deepStrictEqual([tv.volumes, speaker.volumes], [[0.1], [0.15]]);
+
+  // Without a threat volume the device volumes apply again
+  t.mock.timers.tick(30 * 1000);
+  receive(plugin, alertMessage([BEER_SHEVA]));
+  await flush();
+  assert.deepStrictEqual(
+    [tv.volumes.at(-1), speaker.volumes.at(-1)],
+    [0.8, 0.7]
+  );
+});
@@ -0,0 +1,228 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+  BEER_SHEVA_ID,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { alertMessage, earlyWarningMessage } = require("./helpers/tzofar");
+
+const DEBOUNCE_MS = 2 * 60 * 1000;
+
+test("canTriggerAlert blocks repeats for two minutes", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t);
+
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), true);
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), false);
+
+  t.mock.timers.tick(DEBOUNCE_MS);
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), false);
+
+  t.mock.timers.tick(1);
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), true);
+});
+
+test("debounce is per alert type and per city", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t);
+
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), true);
+  assert.strictEqual(plugin.canTriggerAlert("early-warning", TEL_AVIV), true);
+  assert.strictEqual(plugin.canTriggerAlert("primary", BEER_SHEVA), true);
+});
+
+test("simulated alerts never debounce real ones", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t);
+
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV, true), true);
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), true);
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV, true), false);
+});
+
+test("a repeated primary alert is debounced, a new city still triggers", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [TEL_AVIV, BEER_SHEVA],
+    useChromecast: false,
+  });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, alertMessage([TEL_AVIV, BEER_SHEVA]));
+
+  assert.deepStrictEqual(outcomes(plugin), [
+    "triggered",
+    "debounced",
+    "triggered",
+  ]);
+  assert.deepStrictEqual(plugin.alertActiveCities, [BEER_SHEVA]);
+});
+
+test("early warnings are debounced the same way", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [BEER_SHEVA],
+    useChromecast: false,
+  });
+
+  receive(plugin, earlyWarningMessage([BEER_SHEVA_ID]));
+  receive(plugin, earlyWarningMessage([BEER_SHEVA_ID]));
+  t.mock.timers.tick(DEBOUNCE_MS + 1);
+  receive(plugin, earlyWarningMessage([BEER_SHEVA_ID]));
+
+  assert.deepStrictEqual(outcomes(plugin), [
+    "triggered",
+    "debounced",
+    "triggered",
+  ]);
+});
+
+test("debounce is configurable per alert type", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    debounce: { seconds: { primary: 30, "early-warning": 0 } },
+  });
+
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), true);
+  t.mock.timers.tick(30 * 1000 + 1);
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), true);
+  assert.strictEqual(plugin.canTriggerAlert("early-warning", TEL_AVIV), true);
+  assert.strictEqual(plugin.canTriggerAlert("early-warning", TEL_AVIV), true);
+  assert.strictEqual(
+    plugin.canTriggerAlert("exit-notification", TEL_AVIV),
+    true
+  );
+  assert.strictEqual(
+    plugin.canTriggerAlert("exit-notification", TEL_AVIV),
+    false
+  );
+});
+
+test("a higher-priority threat cuts through the debounce", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { useChromecast: false });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 5 }));
+  receive(plugin, alertMessage([TEL_AVIV]));
+
+  assert.deepStrictEqual(outcomes(plugin), [
+    "triggered",
+    "triggered",
+    "debounced",
+  ]);
+  assert.strictEqual(plugin.alertActiveThreat.key, "hostile-aircraft");
+});
+
+test("messages with the same notification ID are one incident", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    { cities: [TEL_AVIV, BEER_SHEVA], debounce: { groupBy: "notification" } },
+    { devices: [tv] }
+  );
+  const part = (cities) => {
+    const message = alertMessage(cities);
+    message.data.notificationId = "incident-1";
+    return message;
+  };
+
+  receive(plugin, part([TEL_AVIV]));
+  receive(plugin, part([BEER_SHEVA]));
+  receive(plugin, alertMessage([BEER_SHEVA]));
+  await flush();
+
+  assert.deepStrictEqual(outcomes(plugin), [
+    "triggered",
+    "grouped",
+    "debounced",
+  ]);
+  assert.deepStrictEqual(plugin.alertActiveCities, [TEL_AVIV, BEER_SHEVA]);
+  assert.ok(plugin.shelterSessions.has(BEER_SHEVA));
+  assert.strictEqual(tv.plays.length, 1);
+  const [first, second] = plugin.finishHistoryEvent.mock.calls.map(
+    (call) => call.arguments[0]
+  );
+  assert.strictEqual(second.incident, first.incident);
+});
+
+test("a time window groups messages until a higher-priority threat", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [TEL_AVIV, BEER_SHEVA],
+    useChromecast: false,
+    debounce: { groupBy: "window", groupWindowSeconds: 60 },
+  });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  t.mock.timers.tick(20 * 1000);
+  receive(plugin, earlyWarningMessage([BEER_SHEVA_ID]));
+  assert.deepStrictEqual(plugin.earlyWarningActiveCities, [
+    TEL_AVIV,
+    BEER_SHEVA,
+  ]);
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, alertMessage([BEER_SHEVA]));
+  receive(plugin, alertMessage([BEER_SHEVA], { threat: 2 }));
+
+  assert.deepStrictEqual(outcomes(plugin), [
+    "triggered",
+    "grouped",
+    "triggered",
+    "grouped",
+    "triggered",
+  ]);
+});
+
+test("a message after the alert has reset triggers, even inside the window", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      cities: [TEL_AVIV, BEER_SHEVA],
+      debounce: { groupBy: "window", groupWindowSeconds: 60 },
+    },
+    { devices: [tv] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+  t.mock.timers.tick(30 * 1000);
+  assert.strictEqual(plugin.isAlertActive, false);
+
+  t.mock.timers.tick(10 * 1000);
+  receive(plugin, alertMessage([BEER_SHEVA]));
+  await flush();
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "triggered"]);
+  assert.strictEqual(plugin.isAlertActive, true);
+  assert.deepStrictEqual(plugin.alertActiveCities, [BEER_SHEVA]);
+  assert.strictEqual(tv.plays.length, 2);
+  const [first, second] = plugin.finishHistoryEvent.mock.calls.map(
+    (call) => call.arguments[0]
+  );
+  assert.notStrictEqual(second.incident, first.incident);
+});
+
+test("debounce timers saved as plain timestamps are restored", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t);
+
+  plugin.restoreState({ alertDebounce: [[`primary_${TEL_AVIV}`, Date.now()]] });
+  assert.strictEqual(plugin.canTriggerAlert("primary", TEL_AVIV), false);
+  assert.deepStrictEqual(plugin.getPersistentState().alertDebounce, [
+    [`primary_${TEL_AVIV}`, { at: Date.now(), priority: null }],
+  ]);
+});
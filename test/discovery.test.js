@@ -0,0 +1,128 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const net = require("net");
+const { once } = require("events");
+const { createPlugin } = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+
+const staticConfig = {
+  chromecastDevices: [
+    { name: "Shelter Group", host: "192.168.1.200", port: 32187 },
+    { name: "Kitchen Speaker", host: "192.168.1.201" },
+    { name: "No Host" },
+  ],
+  chromecastDiscovery: { enabled: false },
+};
+
+test("static devices are always in the device list", async (t) => {
+  const plugin = await createPlugin(t, staticConfig);
+  plugin.setupChromecastDiscovery();
+
+  assert.deepStrictEqual(
+    plugin.devices.map((device) => [device.friendlyName, device.port]),
+    [
+      ["Shelter Group", 32187],
+      ["Kitchen Speaker", 8009],
+    ]
+  );
+  assert.strictEqual(typeof plugin.devices[0].play, "function");
+  assert.deepStrictEqual(
+    plugin
+      .getDevicesStatus()
+      .map(({ source, reachable }) => [source, reachable]),
+    [
+      ["static", null],
+      ["static", null],
+    ]
+  );
+  assert.ok(
+    plugin.log.messages.some(
+      ({ level, message }) => level === "warn" && message.includes("No Host")
+    )
+  );
+});
+
+test("discovery merges devices instead of resetting the list", async (t) => {
+  const plugin = await createPlugin(t, staticConfig);
+  plugin.setupChromecastDiscovery();
+  const tv = new FakeChromecast("Living Room TV", "192.168.1.60");
+
+  plugin.addDevice(tv, "discovered");
+  plugin.addDevice(
+    new FakeChromecast("Living Room TV", "192.168.1.60"),
+    "discovered"
+  );
+  // A static device wins over its discovered twin
+  plugin.addDevice(
+    new FakeChromecast("kitchen speaker", "192.168.1.201"),
+    "discovered"
+  );
+  assert.deepStrictEqual(
+    plugin.devices.map((device) => device.friendlyName),
+    ["Shelter Group", "Kitchen Speaker", "Living Room TV"]
+  );
+  assert.strictEqual(plugin.devices[2], tv);
+
+  // A device that moved to a new address replaces its old entry
+  const moved = new FakeChromecast("Living Room TV", "192.168.1.61");
+  plugin.addDevice(moved, "discovered");
+  assert.deepStrictEqual(
+    plugin.devices.map((device) => device.host),
+    ["192.168.1.200", "192.168.1.201", "192.168.1.61"]
+  );
+});
+
+test("discovered devices go after missed heartbeats, static ones stay", async (t) => {
+  const plugin = await createPlugin(t, {
+    ...staticConfig,
+    chromecastDiscovery: { enabled: false, missedHeartbeats: 2 },
+  });
+  plugin.setupChromecastDiscovery();
+  plugin.addDevice(
+    new FakeChromecast("Living Room TV", "192.168.1.62"),
+    "discovered"
+  );
+  const probe = t.mock.method(plugin, "probeDevice", async () => false);
+
+  await plugin.checkDevices();
+  assert.strictEqual(plugin.devices.length, 3);
+  assert.deepStrictEqual(
+    plugin.getDevicesStatus().map((device) => device.missedHeartbeats),
+    [1, 1, 1]
+  );
+
+  await plugin.checkDevices();
+  assert.deepStrictEqual(
+    plugin.devices.map((device) => device.friendlyName),
+    ["Shelter Group", "Kitchen Speaker"]
+  );
+  assert.deepStrictEqual(
+    plugin.getDevicesStatus().map((device) => device.reachable),
+    [false, false]
+  );
+
+  probe.mock.mockImplementation(async () => true);
+  await plugin.checkDevices();
+  const [group] = plugin.getDevicesStatus();
+  assert.strictEqual(group.reachable, true);
+  assert.strictEqual(group.missedHeartbeats, 0);
+  assert.ok(group.lastSeen);
+});
+
+test("probeDevice connects to the cast port", async (t) => {
+  const server = net.createServer((socket) => socket.destroy());
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  const { port } = server.address();
+  const plugin = await createPlugin(t);
+
+  assert.strictEqual(
+    await plugin.probeDevice({ host: "127.0.0.1", port }),
+    true
+  );
+  await new Promise((resolve) => server.close(resolve));
+  assert.strictEqual(
+    await plugin.probeDevice({ host: "127.0.0.1", port }),
+    false
+  );
+});
@@ -0,0 +1,75 @@
+/**
+ * Fake Chromecast device with the `play`/`setVolume`/`stop` surface of
+ * chromecast-api. Every call is recorded; set `failPlays` to make the next N
+ * plays fail and call `finish()` to emit `finished` like a player that went
+ * idle. Devices created with a `receiverStatus` also answer
+ * `getReceiverStatus` and can launch receiver apps.
+ */
+
+const { EventEmitter } = require("events");
+
+let nextHost = 10;
+
+class FakeChromecast extends EventEmitter {
+  constructor(
+    friendlyName,
+    host = `192.168.1.${nextHost++}`,
+    { receiverStatus = null } = {}
+  ) {
+    super();
+    this.friendlyName = friendlyName;
+    this.host = host;
+    this.plays = [];
+    this.volumes = [];
+    this.muted = [];
+    this.stops = 0;
+    this.closes = 0;
+    this.launches = [];
+    this.failPlays = 0;
+
+    if (receiverStatus) {
+      this.getReceiverStatus = (callback) =>
+        setImmediate(() => callback(null, receiverStatus));
+      this.client = {
+        receiver: {
+          launch: (appId, callback) => {
+            this.launches.push(appId);
+            setImmediate(() => callback(null));
+          },
+        },
+      };
+    }
+  }
+
+  play(url, callback) {
+    this.plays.push(url);
+    const error =
+      this.failPlays > 0 ? (this.failPlays--, new Error("Load failed")) : null;
+    setImmediate(() => callback(error));
+  }
+
+  setVolume(volume, callback) {
+    this.volumes.push(volume);
+    setImmediate(() => callback(null));
+  }
+
+  setVolumeMuted(muted, callback) {
+    this.muted.push(muted);
+    setImmediate(() => callback(null));
+  }
+
+  stop(callback) {
+    this.stops++;
+    setImmediate(() => callback(null));
+  }
+
+  close() {
+    this.closes++;
+  }
+
+  finish() {
+    this.emit("finished");
+  }
+}
+
+module.exports = { FakeChromecast };
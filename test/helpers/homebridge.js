@@ -0,0 +1,184 @@
+/**
+ * Minimal stand-in for the Homebridge API: just enough of `api.hap` for the
+ * plugin to build its services, with characteristic values readable in tests.
+ */
+
+const EventEmitter = require("events");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const characteristic = (name, constants = {}) => ({ UUID: name, ...constants });
+
+const Characteristic = {
+  Active: characteristic("Active", { INACTIVE: 0, ACTIVE: 1 }),
+  ContactSensorState: characteristic("ContactSensorState", {
+    CONTACT_DETECTED: 0,
+    CONTACT_NOT_DETECTED: 1,
+  }),
+  CurrentAmbientLightLevel: characteristic("CurrentAmbientLightLevel"),
+  InUse: characteristic("InUse", { NOT_IN_USE: 0, IN_USE: 1 }),
+  Manufacturer: characteristic("Manufacturer"),
+  Model: characteristic("Model"),
+  OccupancyDetected: characteristic("OccupancyDetected", {
+    OCCUPANCY_NOT_DETECTED: 0,
+    OCCUPANCY_DETECTED: 1,
+  }),
+  On: characteristic("On"),
+  RemainingDuration: characteristic("RemainingDuration"),
+  SerialNumber: characteristic("SerialNumber"),
+  SetDuration: characteristic("SetDuration"),
+  StatusFault: characteristic("StatusFault", { NO_FAULT: 0, GENERAL_FAULT: 1 }),
+  ValveType: characteristic("ValveType", { GENERIC_VALVE: 0 }),
+};
+
+class FakeCharacteristic {
+  constructor(type) {
+    this.type = type;
+    this.value = null;
+    this.handlers = {};
+  }
+
+  on(event, handler) {
+    this.handlers[event] = handler;
+    return this;
+  }
+
+  setProps() {
+    return this;
+  }
+
+  updateValue(value) {
+    this.value = value;
+    return this;
+  }
+
+  // Read/write the way HomeKit does, through the registered handlers
+  get() {
+    return new Promise((resolve, reject) => {
+      if (!this.handlers.get) return resolve(this.value);
+      this.handlers.get((err, value) => (err ? reject(err) : resolve(value)));
+    });
+  }
+
+  set(value) {
+    return new Promise((resolve, reject) => {
+      if (!this.handlers.set) return resolve(this.updateValue(value));
+      this.handlers.set(value, (err) => (err ? reject(err) : resolve()));
+    });
+  }
+}
+
+class FakeService {
+  constructor(displayName, subtype) {
+    this.displayName = displayName;
+    this.subtype = subtype;
+    this.characteristics = new Map();
+  }
+
+  getCharacteristic(type) {
+    if (!this.characteristics.has(type)) {
+      this.characteristics.set(type, new FakeCharacteristic(type));
+    }
+    return this.characteristics.get(type);
+  }
+
+  setCharacteristic(type, value) {
+    this.getCharacteristic(type).updateValue(value);
+    return this;
+  }
+
+  updateCharacteristic(type, value) {
+    return this.setCharacteristic(type, value);
+  }
+
+  addOptionalCharacteristic() {}
+
+  value(type) {
+    return this.getCharacteristic(type).value;
+  }
+}
+
+const Service = Object.fromEntries(
+  [
+    "AccessoryInformation",
+    "ContactSensor",
+    "LightSensor",
+    "OccupancySensor",
+    "Switch",
+    "Valve",
+  ].map((name) => [name, class extends FakeService {}])
+);
+
+class PlatformAccessory {
+  constructor(displayName, UUID) {
+    this.displayName = displayName;
+    this.UUID = UUID;
+    this.services = [new Service.AccessoryInformation(displayName)];
+  }
+
+  getService(type) {
+    return this.services.find((service) => service instanceof type);
+  }
+
+  getServiceById(type, subtype) {
+    return this.services.find(
+      (service) => service instanceof type && service.subtype === subtype
+    );
+  }
+
+  addService(type, displayName, subtype) {
+    const service = new type(displayName, subtype);
+    this.services.push(service);
+    return service;
+  }
+
+  removeService(service) {
+    this.services = this.services.filter((s) => s !== service);
+  }
+}
+
+/**
+ * Homebridge logger that keeps every line for assertions instead of printing.
+ */
+function createLog() {
+  const log = (message) => log.info(message);
+  log.messages = [];
+  for (const level of ["info", "warn", "error", "debug"]) {
+    log[level] = (message) => log.messages.push({ level, message });
+  }
+  return log;
+}
+
+/**
+ * Fake `api` with a throwaway storage path. Registered constructors are
+ * captured as `api.accessoryCtor` and `api.platformCtor`.
+ */
+function createApi() {
+  const storagePath = fs.mkdtempSync(path.join(os.tmpdir(), "red-alert-"));
+  const api = new EventEmitter();
+  api.hap = {
+    Service,
+    Characteristic,
+    uuid: { generate: (id) => `uuid-${id}` },
+  };
+  api.platformAccessory = PlatformAccessory;
+  api.user = { storagePath: () => storagePath };
+  api.registeredAccessories = [];
+  api.registerAccessory = (plugin, name, ctor) => (api.accessoryCtor = ctor);
+  api.registerPlatform = (plugin, name, ctor) => (api.platformCtor = ctor);
+  api.registerPlatformAccessories = (plugin, name, accessories) =>
+    api.registeredAccessories.push(...accessories);
+  api.unregisterPlatformAccessories = () => {};
+  api.removeStorage = () =>
+    fs.rmSync(storagePath, { recursive: true, force: true });
+  return api;
+}
+
+module.exports = {
+  Characteristic,
+  Service,
+  PlatformAccessory,
+  createApi,
+  createLog,
+};
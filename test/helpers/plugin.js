@@ -0,0 +1,97 @@
+/**
+ * Build a RedAlertPlugin (legacy accessory mode) against the fake Homebridge
+ * API, with cities loaded and fake Chromecast devices injected.
+ */
+
+require("./runtime");
+const registerPlugin = require("../..");
+const { createApi, createLog } = require("./homebridge");
+
+const TEL_AVIV = "תל אביב - מזרח"; // id 724, 90 s countdown
+const TEL_AVIV_ID = 724;
+const BEER_SHEVA = "באר שבע - מזרח"; // id 124, 60 s countdown
+const BEER_SHEVA_ID = 124;
+const NATIONWIDE = "רחבי הארץ";
+const NATIONWIDE_ID = 10000000;
+
+async function createPlugin(t, config = {}, { devices = [] } = {}) {
+  const api = createApi();
+  registerPlugin(api);
+
+  const plugin = new api.accessoryCtor(
+    createLog(),
+    {
+      accessory: "RedAlert",
+      name: "Red Alert",
+      cities: [TEL_AVIV],
+      baseUrl: "http://127.0.0.1:8095",
+      ...config,
+    },
+    api
+  );
+  await plugin.loadCitiesData();
+  plugin.resolveProximityCities();
+  plugin.resolveAreaCities();
+  plugin.devices.push(...devices);
+  // Not connected; tests feed it with receive() or start() it against a local server
+  plugin.setupTzofarWebSocket();
+
+  // Keep the outcome of every handled message for assertions
+  t.mock.method(plugin, "finishHistoryEvent");
+  t.after(() => {
+    plugin.cleanup();
+    api.removeStorage();
+  });
+  return plugin;
+}
+
+/**
+ * Fake Date and timers, starting at a fixed moment (noon in Israel by default).
+ * Advance with `t.mock.timers.tick(ms)`.
+ */
+function mockClock(t, now = Date.parse("2025-06-21T09:00:00Z")) {
+  t.mock.timers.enable({ apis: ["Date", "setTimeout", "setInterval"], now });
+}
+
+/**
+ * Push a Tzofar message through the client, exactly as if it came off the wire.
+ */
+function receive(plugin, message) {
+  plugin.tzofarClient.handleMessage(JSON.stringify(message));
+}
+
+/**
+ * Let fake devices answer: they call back on the next turn of the event loop.
+ */
+function flush() {
+  return new Promise((resolve) => setImmediate(resolve));
+}
+
+/**
+ * Let chained fake device callbacks settle (several turns of the event loop).
+ */
+async function settle(turns = 10) {
+  for (let i = 0; i < turns; i++) await flush();
+}
+
+/**
+ * History outcomes recorded so far, e.g. ["triggered", "debounced"].
+ */
+function outcomes(plugin) {
+  return plugin.finishHistoryEvent.mock.calls.map((call) => call.arguments[1]);
+}
+
+module.exports = {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  flush,
+  settle,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+  BEER_SHEVA_ID,
+  NATIONWIDE,
+  NATIONWIDE_ID,
+};
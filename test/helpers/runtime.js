@@ -0,0 +1,25 @@
+/**
+ * Stop the test run on a Node.js older than `devEngines.runtime.version` in
+ * package.json: the suite needs node:test mock timers with Date support.
+ * Runs as `pretest`, and again whenever the helpers are loaded directly.
+ */
+
+const { devEngines } = require("../../package.json");
+
+const parse = (version) =>
+  version
+    .replace(/^[^\d]*/, "")
+    .split(".")
+    .map(Number);
+
+const required = devEngines.runtime.version;
+const minimum = parse(required);
+const current = parse(process.versions.node);
+const index = minimum.findIndex((part, i) => current[i] !== part);
+
+if (index !== -1 && current[index] < minimum[index]) {
+  console.error(
+    `❌ The tests need Node.js ${required} (running ${process.versions.node})`
+  );
+  process.exit(1);
+}
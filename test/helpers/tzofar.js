@@ -0,0 +1,71 @@
+/**
+ * Local WebSocket server standing in for Tzofar, plus builders for the
+ * messages it sends.
+ */
+
+const { once } = require("events");
+const WebSocket = require("ws");
+
+const EARLY_WARNING_TITLE = "מבזק פיקוד העורף";
+const EXIT_TITLE = "עדכון פיקוד העורף";
+
+async function startTzofarServer() {
+  const server = new WebSocket.Server({ host: "127.0.0.1", port: 0 });
+  await once(server, "listening");
+
+  return {
+    url: `ws://127.0.0.1:${server.address().port}`,
+    connection: () => once(server, "connection"),
+    send(message) {
+      const payload =
+        typeof message === "string" ? message : JSON.stringify(message);
+      server.clients.forEach((client) => client.send(payload));
+    },
+    close() {
+      server.clients.forEach((client) => client.terminate());
+      return new Promise((resolve) => server.close(resolve));
+    },
+  };
+}
+
+function alertMessage(cities, { threat = 0, isDrill = false } = {}) {
+  return {
+    type: "ALERT",
+    data: {
+      notificationId: `test-${Math.random().toString(36).slice(2)}`,
+      time: Math.floor(Date.now() / 1000),
+      threat,
+      isDrill,
+      cities,
+    },
+  };
+}
+
+function earlyWarningMessage(citiesIds) {
+  return {
+    type: "SYSTEM_MESSAGE",
+    data: {
+      titleHe: EARLY_WARNING_TITLE,
+      bodyHe: "בדקות הקרובות צפויות להתקבל התרעות באזורך",
+      citiesIds,
+    },
+  };
+}
+
+function exitMessage(citiesIds) {
+  return {
+    type: "SYSTEM_MESSAGE",
+    data: {
+      titleHe: EXIT_TITLE,
+      bodyHe: "האירוע הסתיים באזורים",
+      citiesIds,
+    },
+  };
+}
+
+module.exports = {
+  startTzofarServer,
+  alertMessage,
+  earlyWarningMessage,
+  exitMessage,
+};
@@ -0,0 +1,110 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { alertMessage, exitMessage } = require("./helpers/tzofar");
+
+const BASE_URL = "http://127.0.0.1:8095";
+
+test("alert texts follow the household language", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { language: "ru" });
+  const missiles = { key: "missiles", action: "shelter" };
+
+  const text = plugin.describeAlert("primary", [TEL_AVIV], {
+    threat: { ...missiles, name: "Red Alert" },
+  });
+  assert.strictEqual(text.language, "ru");
+  assert.strictEqual(text.title, "Ракетный обстрел");
+  assert.match(text.body, /^Тель Авив - Восток\. Войдите в защищённое/);
+  assert.match(text.body, /90 секунд/);
+
+  assert.deepStrictEqual(
+    plugin.describeAlert("exit-notification", [TEL_AVIV], { language: "he" }),
+    {
+      language: "he",
+      title: "האירוע הסתיים",
+      body: "תל אביב - מזרח. האירוע הסתיים, ניתן לצאת מהמרחב המוגן",
+    }
+  );
+});
+
+test("an unknown language falls back to English", async (t) => {
+  const plugin = await createPlugin(t, { language: "fr" });
+
+  assert.strictEqual(plugin.language, "en");
+  assert.deepStrictEqual(plugin.localizeCities([TEL_AVIV, "Nationwide"]), [
+    "Tel Aviv - East",
+    "All areas",
+  ]);
+});
+
+test("push events carry the localized title and body", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    language: "es",
+    useChromecast: false,
+  });
+  t.mock.method(plugin.eventFeed, "publish");
+
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 5 }));
+  t.mock.timers.tick(30 * 1000);
+  receive(plugin, exitMessage([TEL_AVIV_ID]));
+
+  const [primary, exit] = plugin.eventFeed.publish.mock.calls.map(
+    (call) => call.arguments
+  );
+  assert.strictEqual(primary[0], "primary");
+  assert.strictEqual(primary[1].title, "Intrusión de aeronave hostil");
+  assert.deepStrictEqual(primary[1].localizedCities, ["Tel Aviv - Este"]);
+  assert.strictEqual(exit[1].title, "Fin del evento");
+});
+
+test("each device plays the media set of its own language", async (t) => {
+  mockClock(t);
+  const kitchen = new FakeChromecast("Kitchen");
+  const tv = new FakeChromecast("Living Room TV");
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(
+    t,
+    {
+      languageMedia: [{ language: "ru", alertVideoPath: "alert-ru.mp4" }],
+      chromecastVolumes: [{ deviceName: "Kitchen", language: "ru" }],
+      shelterInstructions: {
+        devices: [{ deviceName: "Shelter Speaker", language: "ru" }],
+      },
+    },
+    { devices: [kitchen, tv, speaker] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+
+  assert.deepStrictEqual(kitchen.plays, [`${BASE_URL}/ru/alert-video`]);
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/alert-video`]);
+  assert.deepStrictEqual(speaker.plays, [
+    `${BASE_URL}/ru/shelter-instructions-primary`,
+  ]);
+  assert.deepStrictEqual(
+    plugin.getDevicesStatus().map((device) => device.language),
+    ["ru", "en", "ru"]
+  );
+});
+
+test("a language without a media set keeps the default media", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(t, { language: "ar" }, { devices: [tv] });
+
+  plugin.playChromecastMedia("test");
+  await flush();
+
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/test-video`]);
+});
@@ -0,0 +1,81 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+  BEER_SHEVA_ID,
+  NATIONWIDE_ID,
+} = require("./helpers/plugin");
+const { earlyWarningMessage, exitMessage } = require("./helpers/tzofar");
+
+test("isEarlyWarningMessage needs both the title and a keyword", async (t) => {
+  const plugin = await createPlugin(t);
+
+  assert.strictEqual(
+    plugin.isEarlyWarningMessage(earlyWarningMessage([TEL_AVIV_ID]).data),
+    true
+  );
+  assert.strictEqual(
+    plugin.isEarlyWarningMessage({
+      titleHe: "מבזק פיקוד העורף",
+      bodyHe: "הנחיות מעודכנות",
+    }),
+    false
+  );
+  assert.strictEqual(
+    plugin.isEarlyWarningMessage({
+      titleHe: "עדכון",
+      bodyHe: "בדקות הקרובות צפויות להתקבל התרעות באזורך",
+    }),
+    false
+  );
+  assert.strictEqual(plugin.isEarlyWarningMessage({}), false);
+});
+
+test("isExitNotificationMessage needs both the title and a keyword", async (t) => {
+  const plugin = await createPlugin(t);
+
+  assert.strictEqual(
+    plugin.isExitNotificationMessage(exitMessage([TEL_AVIV_ID]).data),
+    true
+  );
+  assert.strictEqual(
+    plugin.isExitNotificationMessage(earlyWarningMessage([TEL_AVIV_ID]).data),
+    false
+  );
+  assert.strictEqual(
+    plugin.classifySystemMessage(exitMessage([TEL_AVIV_ID]).data),
+    "exit-notification"
+  );
+});
+
+test("getAffectedCities matches monitored cities by ID", async (t) => {
+  const plugin = await createPlugin(t, { cities: [TEL_AVIV, BEER_SHEVA] });
+
+  assert.deepStrictEqual(plugin.getAffectedCities([BEER_SHEVA_ID, 1]), [
+    BEER_SHEVA,
+  ]);
+  assert.deepStrictEqual(plugin.getAffectedCities([1, 2, 3]), []);
+});
+
+test("getAffectedCities skips configured cities missing from cities.json", async (t) => {
+  const plugin = await createPlugin(t, { cities: [TEL_AVIV, "Atlantis"] });
+
+  assert.deepStrictEqual(plugin.getAffectedCities([TEL_AVIV_ID]), [TEL_AVIV]);
+  assert.ok(
+    plugin.log.messages.some(
+      ({ level, message }) => level === "warn" && message.includes("Atlantis")
+    )
+  );
+});
+
+test("getAffectedCities treats the nationwide ID as every monitored city", async (t) => {
+  const plugin = await createPlugin(t, { cities: [TEL_AVIV, BEER_SHEVA] });
+
+  assert.deepStrictEqual(plugin.getAffectedCities([NATIONWIDE_ID]), [
+    TEL_AVIV,
+    BEER_SHEVA,
+  ]);
+});
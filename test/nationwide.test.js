@@ -0,0 +1,62 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  TEL_AVIV,
+  BEER_SHEVA,
+  NATIONWIDE,
+  NATIONWIDE_ID,
+} = require("./helpers/plugin");
+const { alertMessage, earlyWarningMessage } = require("./helpers/tzofar");
+
+test("a nationwide primary alert triggers every monitored city", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [TEL_AVIV, BEER_SHEVA],
+    useChromecast: false,
+  });
+
+  receive(plugin, alertMessage([NATIONWIDE]));
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered"]);
+  assert.deepStrictEqual(plugin.alertActiveCities, [TEL_AVIV, BEER_SHEVA]);
+});
+
+test("a nationwide early warning triggers every monitored city", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [TEL_AVIV, BEER_SHEVA],
+    useChromecast: false,
+  });
+
+  receive(plugin, earlyWarningMessage([NATIONWIDE_ID]));
+
+  assert.deepStrictEqual(plugin.earlyWarningActiveCities, [
+    TEL_AVIV,
+    BEER_SHEVA,
+  ]);
+});
+
+test("without monitored cities a nationwide alert still triggers", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { cities: [], useChromecast: false });
+
+  receive(plugin, alertMessage([NATIONWIDE]));
+  receive(plugin, alertMessage([TEL_AVIV]));
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "no-match"]);
+  assert.deepStrictEqual(plugin.alertActiveCities, ["Nationwide"]);
+});
+
+test("nationwide alerts share the per-city debounce", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { useChromecast: false });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, alertMessage([NATIONWIDE]));
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "debounced"]);
+});
@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  settle,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+  BEER_SHEVA_ID,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { alertMessage, earlyWarningMessage } = require("./helpers/tzofar");
+
+const BASE_URL = "http://127.0.0.1:8095";
+const NETFLIX = "CA5E8412";
+
+const watchingNetflix = (level = 0.25, muted = false) => ({
+  receiverStatus: {
+    applications: [{ appId: NETFLIX, displayName: "Netflix" }],
+    volume: { level, muted },
+  },
+});
+
+test("the previous volume and app come back when the media finishes", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast(
+    "Living Room TV",
+    "192.168.1.50",
+    watchingNetflix()
+  );
+  const plugin = await createPlugin(t, {}, { devices: [tv] });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await settle();
+  assert.deepStrictEqual(tv.plays, [`${BASE_URL}/alert-video`]);
+  assert.deepStrictEqual(plugin.getDevicesStatus()[0].playback, {
+    alertType: "primary",
+    state: "playing",
+    mediaUrl: `${BASE_URL}/alert-video`,
+    startedAt: "2025-06-21T09:00:00.000Z",
+    previousVolume: 0.25,
+    previousApp: "Netflix",
+  });
+
+  tv.finish();
+  await settle();
+  assert.strictEqual(tv.stops, 0);
+  assert.deepStrictEqual(tv.volumes, [0.5, 0.25]);
+  assert.deepStrictEqual(tv.launches, [NETFLIX]);
+  assert.strictEqual(plugin.getDevicesStatus()[0].playback, null);
+});
+
+test("a muted device is unmuted for the alert and muted again after", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Bedroom TV", "192.168.1.51", {
+    receiverStatus: {
+      applications: [
+        { appId: "E8C28D3C", displayName: "Backdrop", isIdleScreen: true },
+      ],
+      volume: { level: 0.4, muted: true },
+    },
+  });
+  const plugin = await createPlugin(t, {}, { devices: [tv] });
+
+  plugin.playChromecastMedia("test");
+  await settle();
+  assert.deepStrictEqual(tv.muted, [false]);
+
+  // Media that runs past maxDurationSeconds is stopped
+  t.mock.timers.tick(180 * 1000);
+  await settle();
+  assert.strictEqual(tv.stops, 1);
+  assert.deepStrictEqual(tv.volumes, [0.5, 0.4]);
+  assert.deepStrictEqual(tv.muted, [false, true]);
+  assert.deepStrictEqual(tv.launches, []);
+  assert.strictEqual(tv.closes, 1);
+});
+
+test("a primary alert takes over the early warning session", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast(
+    "Living Room TV",
+    "192.168.1.52",
+    watchingNetflix()
+  );
+  const plugin = await createPlugin(t, {}, { devices: [tv] });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  await settle();
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await settle();
+
+  assert.deepStrictEqual(tv.plays, [
+    `${BASE_URL}/early-warning-video`,
+    `${BASE_URL}/alert-video`,
+  ]);
+  assert.strictEqual(tv.stops, 0);
+  assert.strictEqual(
+    plugin.getDevicesStatus()[0].playback.alertType,
+    "primary"
+  );
+  // Still the volume from before the early warning
+  assert.strictEqual(
+    plugin.getDevicesStatus()[0].playback.previousVolume,
+    0.25
+  );
+});
+
+test("superseded media stops on devices the new alert does not play on", async (t) => {
+  mockClock(t);
+  const speaker = new FakeChromecast(
+    "Shelter Speaker",
+    "192.168.1.53",
+    watchingNetflix(0.3)
+  );
+  const plugin = await createPlugin(
+    t,
+    {
+      cities: [TEL_AVIV, BEER_SHEVA],
+      shelterInstructions: {
+        devices: [{ deviceName: "Shelter Speaker", enabled: true }],
+      },
+    },
+    { devices: [speaker] }
+  );
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  await settle();
+  // The second early warning is skipped on the speaker (cooldown)
+  receive(plugin, earlyWarningMessage([BEER_SHEVA_ID]));
+  await settle();
+
+  assert.strictEqual(speaker.plays.length, 1);
+  assert.strictEqual(speaker.stops, 1);
+  assert.deepStrictEqual(speaker.volumes.slice(-1), [0.3]);
+  assert.deepStrictEqual(speaker.launches, [NETFLIX]);
+});
+
+test("silencing stops and restores devices in a session", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast(
+    "Living Room TV",
+    "192.168.1.54",
+    watchingNetflix()
+  );
+  const idle = new FakeChromecast("Kitchen");
+  const plugin = await createPlugin(
+    t,
+    { playback: { restoreApp: false } },
+    { devices: [tv, idle] }
+  );
+
+  plugin.playChromecastMedia("test");
+  await settle();
+  assert.deepStrictEqual(plugin.silencePlayback(), [
+    "Living Room TV",
+    "Kitchen",
+  ]);
+  await settle();
+
+  assert.strictEqual(tv.stops, 1);
+  assert.deepStrictEqual(tv.volumes, [0.5, 0.25]);
+  assert.deepStrictEqual(tv.launches, []);
+  assert.strictEqual(idle.stops, 1);
+  assert.deepStrictEqual(idle.volumes, [0.5]);
+});
@@ -0,0 +1,195 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+} = require("./helpers/plugin");
+const { Characteristic } = require("./helpers/homebridge");
+const { FakeChromecast } = require("./helpers/chromecast");
+const {
+  alertMessage,
+  earlyWarningMessage,
+  exitMessage,
+} = require("./helpers/tzofar");
+
+const { CONTACT_DETECTED, CONTACT_NOT_DETECTED } =
+  Characteristic.ContactSensorState;
+const state = (service) => service.value(Characteristic.ContactSensorState);
+
+const BASE_URL = "http://127.0.0.1:8095";
+
+test("a primary alert preempts an active early warning", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { useChromecast: false });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  assert.strictEqual(state(plugin.earlyWarningService), CONTACT_NOT_DETECTED);
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  assert.strictEqual(plugin.isAlertActive, true);
+  assert.strictEqual(plugin.isEarlyWarningActive, false);
+  assert.strictEqual(state(plugin.service), CONTACT_NOT_DETECTED);
+  assert.strictEqual(state(plugin.earlyWarningService), CONTACT_DETECTED);
+});
+
+test("early warnings and exit notifications never interrupt a primary alert", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { useChromecast: false });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  receive(plugin, exitMessage([TEL_AVIV_ID]));
+
+  assert.deepStrictEqual(outcomes(plugin), [
+    "triggered",
+    "suppressed",
+    "suppressed",
+  ]);
+  assert.notStrictEqual(
+    state(plugin.earlyWarningService),
+    CONTACT_NOT_DETECTED
+  );
+  assert.notStrictEqual(
+    state(plugin.exitNotificationService),
+    CONTACT_NOT_DETECTED
+  );
+});
+
+test("the exit notification plays once the primary alert has reset", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    useChromecast: false,
+    chromecastTimeout: 30,
+  });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  t.mock.timers.tick(30 * 1000);
+  assert.strictEqual(state(plugin.service), CONTACT_DETECTED);
+  assert.strictEqual(plugin.isInShelter([TEL_AVIV]), true);
+
+  receive(plugin, exitMessage([TEL_AVIV_ID]));
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "triggered"]);
+  assert.strictEqual(
+    state(plugin.exitNotificationService),
+    CONTACT_NOT_DETECTED
+  );
+  assert.strictEqual(plugin.isInShelter([TEL_AVIV]), false);
+});
+
+test("drills and unknown threats are ignored", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, { useChromecast: false });
+
+  receive(plugin, alertMessage([TEL_AVIV], { isDrill: true }));
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 42 }));
+
+  assert.deepStrictEqual(outcomes(plugin), ["ignored-drill", "unknown-threat"]);
+  assert.strictEqual(plugin.isAlertActive, false);
+});
+
+test("a more severe threat preempts playback with its own media and volume", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      threats: {
+        "hostile-aircraft": { mediaFile: "aircraft.mp4", volume: 90 },
+      },
+    },
+    { devices: [tv] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 5 }));
+  await flush();
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "triggered"]);
+  assert.deepStrictEqual(tv.plays, [
+    `${BASE_URL}/alert-video`,
+    `${BASE_URL}/threat-video/hostile-aircraft`,
+  ]);
+  assert.strictEqual(tv.volumes.at(-1), 0.9);
+  const [, preempting] = plugin.finishHistoryEvent.mock.calls.map(
+    (call) => call.arguments[0]
+  );
+  assert.strictEqual(preempting.preempted, "missiles");
+
+  const { primary } = plugin.getStatus();
+  assert.strictEqual(primary.threatKey, "hostile-aircraft");
+  assert.strictEqual(primary.priority, 5);
+  assert.deepStrictEqual(
+    primary.threats.map((threat) => threat.key),
+    ["missiles", "hostile-aircraft"]
+  );
+});
+
+test("a threat preempting in another city keeps the earlier cities", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [TEL_AVIV, BEER_SHEVA],
+    useChromecast: false,
+  });
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  receive(plugin, alertMessage([BEER_SHEVA], { threat: 5 }));
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "triggered"]);
+  const { primary } = plugin.getStatus();
+  assert.strictEqual(primary.threatKey, "hostile-aircraft");
+  assert.deepStrictEqual(primary.cities, [TEL_AVIV, BEER_SHEVA]);
+  assert.ok(plugin.shelterSessions.has(TEL_AVIV));
+
+  t.mock.timers.tick(30 * 1000);
+  assert.deepStrictEqual(plugin.getStatus().primary.cities, []);
+});
+
+test("a less severe threat never interrupts, but still counts as active", async (t) => {
+  mockClock(t);
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    {
+      cities: [TEL_AVIV, BEER_SHEVA],
+      threatLevelSensor: true,
+      threats: {
+        missiles: { sensor: true },
+        "hostile-aircraft": { sensor: true },
+      },
+    },
+    { devices: [tv] }
+  );
+  const level = () =>
+    plugin.threatLevelService.value(Characteristic.CurrentAmbientLightLevel);
+
+  assert.strictEqual(level(), 0.0001);
+  receive(plugin, alertMessage([TEL_AVIV], { threat: 5 }));
+  receive(plugin, alertMessage([BEER_SHEVA]));
+  await flush();
+
+  assert.deepStrictEqual(outcomes(plugin), ["triggered", "suppressed"]);
+  assert.strictEqual(tv.plays.length, 1);
+  assert.deepStrictEqual(plugin.alertActiveCities, [TEL_AVIV, BEER_SHEVA]);
+  assert.ok(plugin.shelterSessions.has(BEER_SHEVA));
+  assert.strictEqual(
+    state(plugin.threatServices.missiles),
+    CONTACT_NOT_DETECTED
+  );
+  assert.strictEqual(
+    state(plugin.threatServices["hostile-aircraft"]),
+    CONTACT_NOT_DETECTED
+  );
+  assert.strictEqual(level(), 6);
+
+  t.mock.timers.tick(30 * 1000);
+  assert.strictEqual(state(plugin.threatServices.missiles), CONTACT_DETECTED);
+  assert.strictEqual(level(), 0.0001);
+  assert.strictEqual(plugin.getStatus().primary.threatLevel, 0);
+});
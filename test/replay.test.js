@@ -0,0 +1,36 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+  BEER_SHEVA,
+} = require("./helpers/plugin");
+const { alertMessage, exitMessage } = require("./helpers/tzofar");
+
+const simulated = (message) => ({ ...message, simulated: true });
+
+test("replays leave the real shelter sessions alone", async (t) => {
+  mockClock(t);
+  const plugin = await createPlugin(t, {
+    cities: [TEL_AVIV, BEER_SHEVA],
+    useChromecast: false,
+  });
+  const state = (city) => plugin.shelterSessions.get(city)?.state;
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  t.mock.timers.tick(90 * 1000);
+  assert.strictEqual(state(TEL_AVIV), "stay-in-shelter");
+
+  receive(plugin, simulated(exitMessage([TEL_AVIV_ID])));
+  receive(plugin, simulated(alertMessage([BEER_SHEVA])));
+
+  assert.strictEqual(state(TEL_AVIV), "stay-in-shelter");
+  assert.strictEqual(state(BEER_SHEVA), undefined);
+  assert.deepStrictEqual(
+    plugin.getPersistentState().shelterSessions.map((session) => session.city),
+    [TEL_AVIV]
+  );
+});
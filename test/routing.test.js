@@ -0,0 +1,168 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const {
+  alertMessage,
+  earlyWarningMessage,
+  exitMessage,
+} = require("./helpers/tzofar");
+
+const played = (...devices) => devices.map((device) => device.plays.length);
+
+function setup() {
+  const kitchen = new FakeChromecast("Kitchen Speaker");
+  const display = new FakeChromecast("Kitchen Display");
+  const tv = new FakeChromecast("Living Room TV");
+  const group = new FakeChromecast("Whole House");
+  group.castGroup = true;
+  return { kitchen, display, tv, group };
+}
+
+const deviceGroups = [
+  { name: "Kitchen", devices: ["kitchen speaker", "Kitchen Display"] },
+];
+
+test("early warnings only to the kitchen group", async (t) => {
+  mockClock(t);
+  const { kitchen, display, tv } = setup();
+  const plugin = await createPlugin(
+    t,
+    {
+      deviceGroups,
+      routing: [
+        {
+          name: "early warnings in the kitchen",
+          alertTypes: ["early-warning"],
+          targets: ["Kitchen"],
+          action: "only",
+        },
+      ],
+    },
+    { devices: [kitchen, display, tv] }
+  );
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  await flush();
+  assert.deepStrictEqual(played(kitchen, display, tv), [1, 1, 0]);
+
+  const [event] = plugin.finishHistoryEvent.mock.calls[0].arguments;
+  assert.deepStrictEqual(
+    event.devices.find((device) => device.name === "Living Room TV"),
+    {
+      name: "Living Room TV",
+      host: tv.host,
+      status: "skipped-routing",
+      rule: "early warnings in the kitchen",
+      updatedAt: "2025-06-21T09:00:00.000Z",
+    }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+  assert.deepStrictEqual(played(kitchen, display, tv), [2, 2, 1]);
+  assert.deepStrictEqual(plugin.getDevicesStatus()[0].groups, ["kitchen"]);
+});
+
+test("exit notifications nowhere at night", async (t) => {
+  // 00:30 in Israel
+  mockClock(t, Date.parse("2025-06-20T21:30:00Z"));
+  const { kitchen, tv } = setup();
+  const plugin = await createPlugin(
+    t,
+    {
+      routing: [
+        {
+          alertTypes: ["exit-notification"],
+          startHour: 22,
+          endHour: 6,
+          action: "skip",
+        },
+      ],
+    },
+    { devices: [kitchen, tv] }
+  );
+
+  receive(plugin, exitMessage([TEL_AVIV_ID]));
+  await flush();
+  assert.deepStrictEqual(played(kitchen, tv), [0, 0]);
+
+  // 09:00 in Israel
+  t.mock.timers.tick(8.5 * 60 * 60 * 1000);
+  receive(plugin, exitMessage([TEL_AVIV_ID]));
+  await flush();
+  assert.deepStrictEqual(played(kitchen, tv), [1, 1]);
+});
+
+test("cast groups play only when a rule targets them", async (t) => {
+  mockClock(t);
+  const { tv, group } = setup();
+  const plugin = await createPlugin(
+    t,
+    {
+      routing: [
+        {
+          name: "primary everywhere",
+          alertTypes: ["primary"],
+          targets: ["all"],
+          action: "play",
+        },
+      ],
+    },
+    { devices: [tv, group] }
+  );
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  await flush();
+  assert.deepStrictEqual(played(tv, group), [1, 0]);
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+  assert.deepStrictEqual(played(tv, group), [2, 1]);
+  assert.strictEqual(plugin.getDevicesStatus()[1].castGroup, true);
+});
+
+test("rules can match threats, first matching rule wins", async (t) => {
+  const { kitchen, tv } = setup();
+  const plugin = await createPlugin(
+    t,
+    {
+      routing: [
+        {
+          threats: ["hostile-aircraft"],
+          targets: ["living room tv"],
+          action: "skip",
+        },
+        { targets: ["Living Room TV"], action: "play" },
+        { alertTypes: ["primary"], action: "skip" },
+        { action: "explode" },
+      ],
+    },
+    { devices: [kitchen, tv] }
+  );
+  const aircraft = { key: "hostile-aircraft" };
+  const missiles = { key: "missiles" };
+
+  assert.strictEqual(plugin.routing.rules.length, 3);
+  assert.deepStrictEqual(
+    [kitchen, tv].map((device) => [
+      plugin.routeDevice("primary", aircraft, device).play,
+      plugin.routeDevice("primary", missiles, device).play,
+    ]),
+    [
+      [false, false],
+      [false, true],
+    ]
+  );
+  assert.strictEqual(
+    plugin.routeDevice("primary", aircraft, tv).rule.name,
+    "rule 1"
+  );
+});
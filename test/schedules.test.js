@@ -0,0 +1,144 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+} = require("./helpers/plugin");
+const { Characteristic } = require("./helpers/homebridge");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { alertMessage, earlyWarningMessage } = require("./helpers/tzofar");
+
+// Israel is UTC+3 in June; 2025-06-20 is a Friday
+const israel = (stamp) => Date.parse(`${stamp}:00+03:00`);
+
+const night = {
+  name: "Night",
+  windows: [{ start: "22:30", end: "06:45" }],
+  switch: true,
+};
+const shabbat = {
+  name: "Shabbat",
+  windows: [
+    { days: ["fri"], start: "18:45", end: "24:00" },
+    { days: ["sat"], start: "00:00", end: "19:55" },
+  ],
+};
+
+test("windows have minute precision and cross midnight", async (t) => {
+  mockClock(t, israel("2025-06-20T22:29"));
+  const plugin = await createPlugin(t, { scheduleProfiles: [night] });
+
+  assert.strictEqual(plugin.schedules.isActive("night"), false);
+  t.mock.timers.tick(60 * 1000);
+  assert.strictEqual(plugin.schedules.isActive("night"), true);
+  t.mock.timers.setTime(israel("2025-06-21T06:44"));
+  assert.strictEqual(plugin.schedules.isActive("night"), true);
+  t.mock.timers.tick(60 * 1000);
+  assert.strictEqual(plugin.schedules.isActive("night"), false);
+});
+
+test("weekday sets and date-range exceptions", async (t) => {
+  mockClock(t, israel("2025-06-20T18:44"));
+  const plugin = await createPlugin(t, {
+    scheduleProfiles: [
+      {
+        ...shabbat,
+        exceptions: [
+          { from: "2025-06-27", active: false },
+          { from: "2025-07-01 09:00", to: "2025-07-01 12:00" },
+        ],
+      },
+    ],
+  });
+  const active = (stamp) =>
+    plugin.schedules.isActive("Shabbat", new Date(israel(stamp)));
+
+  assert.strictEqual(active("2025-06-20T18:44"), false);
+  assert.strictEqual(active("2025-06-20T18:45"), true);
+  assert.strictEqual(active("2025-06-21T12:00"), true);
+  assert.strictEqual(active("2025-06-21T19:55"), false);
+  assert.strictEqual(active("2025-06-22T12:00"), false);
+  // Skipped Friday, then a Tuesday morning turned on
+  assert.strictEqual(active("2025-06-27T20:00"), false);
+  assert.strictEqual(active("2025-06-28T10:00"), true);
+  assert.strictEqual(active("2025-07-01T09:00"), true);
+  assert.strictEqual(active("2025-07-01T12:00"), false);
+});
+
+test("quiet profiles mute their alert types, never primary alerts", async (t) => {
+  mockClock(t, israel("2025-06-20T23:00"));
+  const plugin = await createPlugin(t, {
+    scheduleProfiles: [night],
+    useChromecast: false,
+    alerts: {
+      primary: { quietProfiles: ["Night"] },
+      "early-warning": { quietProfiles: ["Night"] },
+    },
+  });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  receive(plugin, alertMessage([TEL_AVIV]));
+
+  assert.deepStrictEqual(outcomes(plugin), ["disabled", "triggered"]);
+  assert.strictEqual(plugin.isAlertActive, true);
+});
+
+test("the mode switch forces a profile and survives a restart", async (t) => {
+  mockClock(t);
+  const config = {
+    scheduleProfiles: [night],
+    alerts: { "early-warning": { quietProfiles: ["night"] } },
+  };
+  const plugin = await createPlugin(t, config);
+  const modeSwitch = plugin.modeSwitchServices.night;
+
+  assert.strictEqual(modeSwitch.displayName, "Red Alert Night Mode");
+  assert.strictEqual(plugin.isAlertTypeActive("early-warning"), true);
+  await modeSwitch.getCharacteristic(Characteristic.On).set(true);
+  assert.strictEqual(plugin.isAlertTypeActive("early-warning"), false);
+  assert.deepStrictEqual(plugin.getPersistentState().forcedProfiles, ["night"]);
+
+  const restarted = await createPlugin(t, config);
+  restarted.restoreState(plugin.getPersistentState());
+  assert.strictEqual(
+    restarted.modeSwitchServices.night.value(Characteristic.On),
+    true
+  );
+  assert.deepStrictEqual(restarted.schedules.getStatus(), [
+    { name: "Night", active: true, forced: true, switch: true },
+  ]);
+});
+
+test("a device in a quiet profile sits out everything but primary alerts", async (t) => {
+  mockClock(t, israel("2025-06-21T12:00"));
+  const bedroom = new FakeChromecast("Bedroom TV");
+  const kitchen = new FakeChromecast("Kitchen");
+  const plugin = await createPlugin(
+    t,
+    {
+      scheduleProfiles: [shabbat],
+      chromecastVolumes: [
+        { deviceName: "Bedroom TV", quietProfiles: ["Shabbat"] },
+      ],
+    },
+    { devices: [bedroom, kitchen] }
+  );
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  await flush();
+  assert.deepStrictEqual([bedroom.plays.length, kitchen.plays.length], [0, 1]);
+  const [event] = plugin.finishHistoryEvent.mock.calls[0].arguments;
+  assert.strictEqual(
+    event.devices.find((device) => device.name === "Bedroom TV").profile,
+    "Shabbat"
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+  assert.strictEqual(bedroom.plays.length, 1);
+});
@@ -0,0 +1,125 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  flush,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+} = require("./helpers/plugin");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { alertMessage, earlyWarningMessage } = require("./helpers/tzofar");
+
+// Israel is UTC+3 in summer; 2025-06-20 is a Friday
+const israel = (stamp) => new Date(`${stamp}:00+03:00`);
+const minutesBetween = (iso, date) =>
+  Math.abs(Date.parse(iso) - date.getTime()) / 60000;
+
+test("candle lighting and havdalah follow the monitored city's sunset", async (t) => {
+  const plugin = await createPlugin(t, { shabbat: { enabled: true } });
+  const friday = israel("2025-06-20T12:00");
+
+  // Sunset in Tel Aviv is about 19:51
+  const status = plugin.shabbat.getStatus(friday);
+  assert.strictEqual(status.city, TEL_AVIV);
+  assert.deepStrictEqual(status.days, ["Shabbat"]);
+  assert.ok(
+    minutesBetween(status.candleLighting, israel("2025-06-20T19:33")) <= 2
+  );
+  assert.ok(minutesBetween(status.havdalah, israel("2025-06-21T20:34")) <= 2);
+
+  assert.strictEqual(
+    plugin.shabbat.isActive(israel("2025-06-20T19:30")),
+    false
+  );
+  assert.strictEqual(plugin.shabbat.isActive(israel("2025-06-20T19:40")), true);
+  assert.strictEqual(plugin.shabbat.isActive(israel("2025-06-21T20:30")), true);
+  assert.strictEqual(
+    plugin.shabbat.isActive(israel("2025-06-21T20:40")),
+    false
+  );
+});
+
+test("offsets are configurable", async (t) => {
+  const plugin = await createPlugin(t, {
+    shabbat: { enabled: true, candleLightingMinutes: 40, havdalahMinutes: 30 },
+  });
+
+  const { candleLighting, havdalah } = plugin.shabbat.getStatus(
+    israel("2025-06-20T12:00")
+  );
+  assert.ok(minutesBetween(candleLighting, israel("2025-06-20T19:11")) <= 2);
+  assert.ok(minutesBetween(havdalah, israel("2025-06-21T20:21")) <= 2);
+});
+
+test("a two-day Yom Tov is one period, and can be left out", async (t) => {
+  const plugin = await createPlugin(t, { shabbat: { enabled: true } });
+  // Rosh Hashana 5786: Tuesday and Wednesday, 23-24 September 2025
+  const monday = new Date("2025-09-22T09:00:00Z");
+
+  const status = plugin.shabbat.getStatus(monday);
+  assert.deepStrictEqual(status.days, ["Rosh Hashana"]);
+  assert.match(status.candleLighting, /^2025-09-22T15:/);
+  assert.match(status.havdalah, /^2025-09-24T16:/);
+  assert.strictEqual(
+    plugin.shabbat.isActive(new Date("2025-09-23T21:00:00Z")),
+    true
+  );
+
+  const shabbatOnly = await createPlugin(t, {
+    shabbat: { enabled: true, yomTov: false },
+  });
+  assert.match(
+    shabbatOnly.shabbat.getStatus(monday).candleLighting,
+    /^2025-09-26/
+  );
+});
+
+test("during Shabbat a routing profile plays only the shelter speaker", async (t) => {
+  mockClock(t, israel("2025-06-21T12:00").getTime());
+  const tv = new FakeChromecast("Living Room TV");
+  const speaker = new FakeChromecast("Shelter Speaker");
+  const plugin = await createPlugin(
+    t,
+    {
+      shabbat: { enabled: true },
+      routing: [
+        {
+          name: "Shabbat speakers",
+          profiles: ["Shabbat"],
+          targets: ["Shelter Speaker"],
+          action: "only",
+          volume: 35,
+        },
+      ],
+    },
+    { devices: [tv, speaker] }
+  );
+
+  receive(plugin, alertMessage([TEL_AVIV]));
+  await flush();
+  assert.deepStrictEqual([tv.plays.length, speaker.plays.length], [0, 1]);
+  assert.deepStrictEqual(speaker.volumes, [0.35]);
+  assert.strictEqual(plugin.getStatus().shabbat.active, true);
+
+  t.mock.timers.setTime(israel("2025-06-22T12:00").getTime());
+  plugin.playChromecastMedia("test");
+  await flush();
+  assert.deepStrictEqual([tv.plays.length, speaker.plays.length], [1, 2]);
+  assert.deepStrictEqual(speaker.volumes, [0.35, 0.5]);
+});
+
+test("the Shabbat profile works as a quiet profile", async (t) => {
+  mockClock(t, israel("2025-06-21T12:00").getTime());
+  const plugin = await createPlugin(t, {
+    shabbat: { enabled: true, switch: true },
+    useChromecast: false,
+    alerts: { "early-warning": { quietProfiles: ["Shabbat"] } },
+  });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  assert.deepStrictEqual(outcomes(plugin), ["disabled"]);
+  assert.ok(plugin.modeSwitchServices.shabbat);
+});
@@ -0,0 +1,26 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { createPlugin } = require("./helpers/plugin");
+
+test("scenarios whose names differ only in case or spacing are not duplicated", async (t) => {
+  const plugin = await createPlugin(t, {
+    testScenarios: [
+      { name: "Night Drill", steps: [{ alertType: "early-warning" }] },
+      { name: " night  drill", steps: [{ alertType: "primary" }] },
+    ],
+  });
+
+  assert.deepStrictEqual(
+    plugin.testScenarios.map(({ id, name }) => [id, name]),
+    [["scenario-night-drill", "Night Drill"]]
+  );
+  assert.deepStrictEqual(Object.keys(plugin.testScenarioServices), [
+    "scenario-night-drill",
+  ]);
+  assert.ok(
+    plugin.log.messages.some(
+      ({ level, message }) =>
+        level === "warn" && message.includes('" night  drill"')
+    )
+  );
+});
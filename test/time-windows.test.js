@@ -0,0 +1,61 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const {
+  createPlugin,
+  mockClock,
+  receive,
+  outcomes,
+  TEL_AVIV,
+  TEL_AVIV_ID,
+} = require("./helpers/plugin");
+const { alertMessage, earlyWarningMessage } = require("./helpers/tzofar");
+
+// Israel is UTC+3 in June
+const ISRAEL_23_30 = Date.parse("2025-06-20T20:30:00Z");
+const ISRAEL_03_00 = Date.parse("2025-06-21T00:00:00Z");
+const ISRAEL_12_00 = Date.parse("2025-06-21T09:00:00Z");
+
+const overnight = {
+  alerts: { "early-warning": { startHour: 22, endHour: 6 } },
+};
+
+test("an overnight window covers both sides of midnight", async (t) => {
+  mockClock(t, ISRAEL_23_30);
+  const plugin = await createPlugin(t, overnight);
+
+  assert.strictEqual(plugin.isAlertTypeActive("early-warning"), true);
+  t.mock.timers.setTime(ISRAEL_03_00);
+  assert.strictEqual(plugin.isAlertTypeActive("early-warning"), true);
+  t.mock.timers.setTime(ISRAEL_12_00);
+  assert.strictEqual(plugin.isAlertTypeActive("early-warning"), false);
+});
+
+test("a same-day window includes its end hour", async (t) => {
+  mockClock(t, ISRAEL_12_00);
+  const plugin = await createPlugin(t, {
+    alerts: { "exit-notification": { startHour: 8, endHour: 12 } },
+  });
+
+  assert.strictEqual(plugin.isAlertTypeActive("exit-notification"), true);
+  t.mock.timers.setTime(ISRAEL_23_30);
+  assert.strictEqual(plugin.isAlertTypeActive("exit-notification"), false);
+});
+
+test("a disabled alert type is never active", async (t) => {
+  const plugin = await createPlugin(t, {
+    alerts: { "early-warning": { enabled: false } },
+  });
+
+  assert.strictEqual(plugin.isAlertTypeActive("early-warning"), false);
+});
+
+test("outside the window early warnings are dropped but primary alerts are not", async (t) => {
+  mockClock(t, ISRAEL_12_00);
+  const plugin = await createPlugin(t, { ...overnight, useChromecast: false });
+
+  receive(plugin, earlyWarningMessage([TEL_AVIV_ID]));
+  receive(plugin, alertMessage([TEL_AVIV]));
+
+  assert.deepStrictEqual(outcomes(plugin), ["disabled", "triggered"]);
+  assert.strictEqual(plugin.isAlertActive, true);
+});
@@ -0,0 +1,64 @@
+const { test } = require("node:test");
+const assert = require("node:assert");
+const { once } = require("events");
+const { createPlugin, TEL_AVIV } = require("./helpers/plugin");
+const { Characteristic } = require("./helpers/homebridge");
+const { FakeChromecast } = require("./helpers/chromecast");
+const { startTzofarServer, alertMessage } = require("./helpers/tzofar");
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error("Timed out waiting");
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+};
+
+test("an alert from the Tzofar socket reaches HomeKit and Chromecast", async (t) => {
+  const server = await startTzofarServer();
+  t.after(() => server.close());
+  const tv = new FakeChromecast("Living Room TV");
+  const plugin = await createPlugin(
+    t,
+    { tzofar: { wsUrl: server.url }, chromecastTimeout: 0.2 },
+    { devices: [tv] }
+  );
+
+  const connected = server.connection();
+  plugin.tzofarClient.start();
+  const [, req] = await connected;
+  assert.ok(req.headers.tzofar, "sends the tzofar header");
+  await waitFor(() => plugin.tzofarClient.isConnected());
+
+  server.send("not json");
+  server.send(alertMessage([TEL_AVIV]));
+  await waitFor(() => tv.plays.length > 0);
+
+  assert.strictEqual(
+    plugin.service.value(Characteristic.ContactSensorState),
+    Characteristic.ContactSensorState.CONTACT_NOT_DETECTED
+  );
+  assert.deepStrictEqual(plugin.alertActiveCities, [TEL_AVIV]);
+  assert.ok(plugin.tzofarClient.getStatus().lastMessageAt);
+});
+
+test("the client reconnects after the server drops it", async (t) => {
+  const server = await startTzofarServer();
+  t.after(() => server.close());
+  const plugin = await createPlugin(t, {
+    tzofar: { wsUrl: server.url, reconnectInterval: 50 },
+  });
+
+  const first = server.connection();
+  plugin.tzofarClient.start();
+  const [socket] = await first;
+
+  const second = server.connection();
+  const closed = once(plugin.tzofarClient.ws, "close");
+  socket.terminate();
+  await closed;
+  await second;
+
+  await waitFor(() => plugin.tzofarClient.isConnected());
+  assert.strictEqual(plugin.tzofarClient.getStatus().totalReconnects, 1);
+});